@@ -0,0 +1,254 @@
+import * as THREE from 'three';
+import SoundSynth from './SoundSynth.js';
+
+// Sound (game.sound): listens to gameplay events and plays what goes with them.
+// The listener rides on the camera; effects are positional, played from a pool of
+// emitters placed where the event happened. Everything is synthesized at start
+// (see SoundSynth.js).
+//
+//   master ─┬─ music: a slow pentatonic tune, notes scheduled as it goes
+//           └─ sfx:   effects, and the bird, water and rain loops
+//
+// Volumes and mute are player settings. Browsers keep audio suspended until the
+// page is interacted with, so the first key or click starts it.
+export default class SoundManager {
+  static POOL_SIZE = 16;
+  static FOOTSTEPS = ['grass', 'rock', 'stone', 'wood', 'leaves', 'water']; // Anything else sounds like grass
+  static SCALE = [0, 2, 4, 7, 9]; // Major pentatonic, semitones
+  static VOLUME_SETTINGS = ['masterVolume', 'musicVolume', 'sfxVolume', 'mute'];
+  // Item types that sound like another (house treasures, see HouseManager.spawnTreasure)
+  static ALIASES = { gem_house: 'gem', gold_house: 'gold' };
+
+  constructor(game) {
+    this.game = game;
+    this.scene = game.scene;
+    this.camera = game.camera;
+
+    // No WebAudio (old browser, tests): stay silent
+    this.enabled = !!(window.AudioContext || window.webkitAudioContext);
+    if (!this.enabled) return;
+
+    this.listener = new THREE.AudioListener();
+    this.camera.add(this.listener);
+    this.context = this.listener.context;
+
+    this.music = this.createBus();
+    this.sfx = this.createBus();
+    this.applySettings();
+
+    this.createBuffers();
+    this.createPool();
+    this.createLoops();
+
+    this.nextNote = 0; // Context time of the next note of the tune
+    this.noteIndex = 0;
+
+    this.unlock = () => {
+        this.context.resume();
+        window.removeEventListener('keydown', this.unlock);
+        window.removeEventListener('pointerdown', this.unlock);
+    };
+    window.addEventListener('keydown', this.unlock);
+    window.addEventListener('pointerdown', this.unlock);
+
+    const events = game.events;
+    this.offs = [
+        events.on('item:collected', ({ item, position }) => {
+            this.play(SoundManager.ALIASES[item.type] ?? item.type, position);
+        }),
+        events.on('door:opened', ({ position }) => this.play('doorOpen', position)),
+        events.on('door:closed', ({ position }) => this.play('doorClose', position)),
+        events.on('water:splash', ({ position, speed }) => {
+            // Wading in barely makes a sound, a cannonball does
+            if (speed > 1) this.play('splash', position, { volume: THREE.MathUtils.clamp(speed / 8, 0.2, 1) });
+        }),
+        events.on('player:swimStroke', ({ position }) => this.play('swimStroke', position, { volume: 0.6 })),
+        events.on('player:footstep', ({ position, surface }) => this.playStep(position, surface, 0.5)),
+        events.on('player:landed', ({ position, surface, speed }) => {
+            this.playStep(position, surface, THREE.MathUtils.clamp(speed / 8, 0.4, 1));
+        }),
+        events.on('settings:changed', ({ key }) => {
+            if (SoundManager.VOLUME_SETTINGS.includes(key)) this.applySettings();
+        })
+    ];
+  }
+
+  // Gain in front of the listener's, which is the master volume
+  createBus() {
+    const bus = this.context.createGain();
+    bus.connect(this.listener.getInput());
+    return bus;
+  }
+
+  applySettings() {
+    const settings = this.game.settings;
+    const level = key => Number(settings.get(key)) / 100;
+    this.listener.setMasterVolume(settings.get('mute') === 'on' ? 0 : level('masterVolume'));
+    this.music.gain.setTargetAtTime(level('musicVolume'), this.context.currentTime, 0.01);
+    this.sfx.gain.setTargetAtTime(level('sfxVolume'), this.context.currentTime, 0.01);
+  }
+
+  createBuffers() {
+    const synth = new SoundSynth(this.context);
+    this.buffers = {
+        gem: synth.gem(),
+        gold: synth.gold(),
+        pearl: synth.pearl(),
+        doorOpen: synth.doorOpen(),
+        doorClose: synth.doorClose(),
+        splash: synth.splash(),
+        swimStroke: synth.swimStroke(),
+        birds: synth.birds(),
+        water: synth.water(),
+        rain: synth.rain()
+    };
+    this.steps = {};
+    SoundManager.FOOTSTEPS.forEach(surface => {
+        this.steps[surface] = synth.step(surface);
+    });
+  }
+
+  // Emitters for one-shots, reused: a free one if there is, else the one playing longest
+  createPool() {
+    this.pool = [];
+    for (let i = 0; i < SoundManager.POOL_SIZE; i++) {
+        const emitter = new THREE.PositionalAudio(this.listener);
+        emitter.setRefDistance(4);
+        this.route(emitter, this.sfx);
+        this.scene.add(emitter);
+        this.pool.push(emitter);
+    }
+    this.poolIndex = 0;
+  }
+
+  createLoops() {
+    this.loops = {};
+    ['birds', 'water', 'rain'].forEach(name => {
+        const loop = new THREE.Audio(this.listener);
+        this.route(loop, this.sfx);
+        loop.setBuffer(this.buffers[name]);
+        loop.setLoop(true);
+        loop.gain.gain.value = 0;
+        loop.play();
+        this.loops[name] = loop;
+    });
+  }
+
+  route(audio, bus) {
+    audio.gain.disconnect();
+    audio.gain.connect(bus);
+  }
+
+  // A one-shot at a world position. Pitch varies a little so repeats don't drone
+  play(name, position, options) {
+    if (this.enabled && this.buffers[name]) this.playBuffer(this.buffers[name], position, options);
+  }
+
+  playStep(position, surface, volume) {
+    if (this.enabled) this.playBuffer(this.steps[surface] ?? this.steps.grass, position, { volume, pitch: 0.15 });
+  }
+
+  playBuffer(buffer, position, { volume = 1, pitch = 0.1 } = {}) {
+    let emitter = this.pool.find(candidate => !candidate.isPlaying);
+    if (!emitter) {
+        emitter = this.pool[this.poolIndex];
+        this.poolIndex = (this.poolIndex + 1) % this.pool.length;
+        emitter.stop();
+    }
+
+    emitter.position.set(position.x, position.y, position.z);
+    emitter.gain.gain.value = volume;
+    emitter.setBuffer(buffer);
+    emitter.playbackRate = 1 + (Math.random() * 2 - 1) * pitch;
+    emitter.play();
+    emitter.updateMatrixWorld(); // Heard from there right away, not from the last sound's spot
+  }
+
+  // Per frame: ambience for where the camera is, and the next notes of the tune
+  render() {
+    if (!this.enabled || this.context.state !== 'running') return;
+
+    const camera = this.camera.position;
+    const weather = this.game.weather;
+    const rain = weather?.rain ?? 0;
+    const underwater = this.game.world?.water.underwater ?? false;
+
+    // Birds sing by day, and hide from the rain
+    const day = this.game.dayNight?.isNight ? 0 : 1;
+    this.fadeLoop('birds', underwater ? 0 : 0.5 * day * (1 - rain));
+    this.fadeLoop('water', underwater ? 1 : 0.8 * this.getWaterNearby(camera));
+    this.fadeLoop('rain', underwater ? 0 : 0.7 * rain);
+
+    this.scheduleMusic();
+  }
+
+  fadeLoop(name, volume) {
+    this.loops[name].gain.gain.setTargetAtTime(volume, this.context.currentTime, 0.5);
+  }
+
+  // 0..1: how much of the ground around this point is pond
+  getWaterNearby(position) {
+    const water = this.game.world?.water;
+    if (!water) return 0;
+
+    const radius = 12;
+    let found = water.getLevelAt(position.x, position.z) !== null ? 1 : 0;
+    for (let i = 0; i < 8; i++) {
+        const angle = i / 8 * Math.PI * 2;
+        if (water.getLevelAt(position.x + Math.cos(angle) * radius, position.z + Math.sin(angle) * radius) !== null) found++;
+    }
+    return found / 9;
+  }
+
+  // Notes are queued a second ahead on the context's clock, so frame hitches don't break the rhythm
+  scheduleMusic() {
+    const now = this.context.currentTime;
+    if (this.nextNote < now) this.nextNote = now + 0.1;
+
+    while (this.nextNote < now + 1) {
+        const beat = this.noteIndex++;
+        // A low root every eight beats, a wandering melody in between with rests
+        if (beat % 8 === 0) this.playNote(48, this.nextNote, 4, 0.12);
+        if (Math.random() < 0.6) {
+            const scale = SoundManager.SCALE;
+            const octave = Math.random() < 0.3 ? 72 : 60;
+            this.playNote(octave + scale[Math.floor(Math.random() * scale.length)], this.nextNote, 1.6, 0.06);
+        }
+        this.nextNote += 0.6;
+    }
+  }
+
+  playNote(midi, time, length, volume) {
+    const oscillator = this.context.createOscillator();
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = 440 * Math.pow(2, (midi - 69) / 12);
+
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(0, time);
+    envelope.gain.linearRampToValueAtTime(volume, time + 0.3);
+    envelope.gain.setTargetAtTime(0, time + 0.3, length / 4);
+
+    oscillator.connect(envelope);
+    envelope.connect(this.music);
+    oscillator.start(time);
+    oscillator.stop(time + 0.3 + length * 1.5);
+    oscillator.onended = () => envelope.disconnect();
+  }
+
+  dispose() {
+    if (!this.enabled) return;
+
+    this.offs.forEach(off => off());
+    window.removeEventListener('keydown', this.unlock);
+    window.removeEventListener('pointerdown', this.unlock);
+
+    Object.values(this.loops).forEach(loop => loop.stop());
+    this.pool.forEach(emitter => {
+        if (emitter.isPlaying) emitter.stop();
+        this.scene.remove(emitter);
+    });
+    this.camera.remove(this.listener);
+    this.music.disconnect();
+    this.sfx.disconnect();
+  }
+}
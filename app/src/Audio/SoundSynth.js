@@ -0,0 +1,187 @@
+// Every sound in the game, synthesized into AudioBuffers when the game starts so
+// there are no audio files to load. Each method returns a buffer; the loops
+// (birds, water, rain) are written to wrap around without a click.
+export default class SoundSynth {
+  constructor(context) {
+    this.context = context;
+    this.sampleRate = context.sampleRate;
+  }
+
+  // Buffer of the given length, fill(t, i) returns each sample
+  create(duration, fill) {
+    const length = Math.ceil(duration * this.sampleRate);
+    const buffer = this.context.createBuffer(1, length, this.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) data[i] = fill(i / this.sampleRate, i);
+    return buffer;
+  }
+
+  // Struck bell partials: [frequency, amplitude, decay per second, start]
+  bell(duration, partials) {
+    return this.create(duration, t => partials.reduce((sum, [frequency, amplitude, decay, start = 0]) => {
+        if (t < start) return sum;
+        const local = t - start;
+        const attack = Math.min(local / 0.003, 1); // No click at the start
+        return sum + Math.sin(2 * Math.PI * frequency * local) * amplitude * attack * Math.exp(-decay * local);
+    }, 0));
+  }
+
+  // Noise through a one-pole lowpass; cutoff(t) in Hz and envelope(t) can change over time
+  noise(duration, cutoff, envelope) {
+    let low = 0;
+    return this.create(duration, t => {
+        const k = 1 - Math.exp(-2 * Math.PI * cutoff(t) / this.sampleRate);
+        low += (Math.random() * 2 - 1 - low) * k;
+        return low * envelope(t);
+    });
+  }
+
+  gem() {
+    // Two rising notes with a shimmer on top
+    return this.bell(0.7, [
+        [1318.5, 0.35, 7], [3636, 0.08, 14],
+        [1760, 0.35, 6, 0.07], [4857, 0.08, 12, 0.07]
+    ]);
+  }
+
+  gold() {
+    // Coin on coin, twice
+    return this.bell(0.45, [
+        [2093, 0.25, 14], [3322, 0.2, 18], [5274, 0.1, 25],
+        [2217, 0.22, 14, 0.08], [3520, 0.18, 18, 0.08]
+    ]);
+  }
+
+  pearl() {
+    return this.bell(0.8, [[1046.5, 0.3, 4], [1568, 0.2, 6], [2093, 0.08, 9]]);
+  }
+
+  doorOpen() {
+    // Hinge creak: a buzz wandering up in pitch, stuttering
+    let phase = 0;
+    return this.create(0.6, t => {
+        const frequency = 180 + 90 * t / 0.6 + 20 * Math.sin(t * 37);
+        phase += frequency / this.sampleRate;
+        const saw = (phase % 1) * 2 - 1;
+        const stutter = 0.6 + 0.4 * Math.sin(t * 95);
+        const envelope = Math.min(t / 0.05, 1) * Math.min((0.6 - t) / 0.1, 1);
+        return saw * stutter * envelope * 0.3;
+    });
+  }
+
+  doorClose() {
+    // Low thud and a latch click
+    const thud = this.bell(0.4, [[85, 0.6, 12], [170, 0.2, 20]]);
+    const data = thud.getChannelData(0);
+    const click = Math.floor(0.02 * this.sampleRate);
+    for (let i = 0; i < click; i++) data[i] += (Math.random() * 2 - 1) * 0.3 * (1 - i / click);
+    return thud;
+  }
+
+  splash() {
+    // Bright at the hit, duller as it settles
+    return this.noise(0.8, t => 4000 * Math.exp(-t * 4) + 300, t => Math.min(t / 0.01, 1) * Math.exp(-t * 5) * 0.9);
+  }
+
+  swimStroke() {
+    // A soft swell of water pushed back
+    return this.noise(0.45, () => 700, t => Math.sin(Math.PI * t / 0.45) ** 2 * 0.5);
+  }
+
+  // Footstep for a surface name (see CharacterController)
+  step(surface) {
+    switch (surface) {
+        case 'rock':
+        case 'stone': {
+            // Sharp scuff with a little ring
+            const step = this.noise(0.15, () => 5000, t => Math.exp(-t * 60) * 0.5);
+            const data = step.getChannelData(0);
+            data.forEach((value, i) => {
+                const t = i / this.sampleRate;
+                data[i] = value + Math.sin(2 * Math.PI * 190 * t) * Math.exp(-t * 40) * 0.2;
+            });
+            return step;
+        }
+        case 'wood':
+            // Hollow knock
+            return this.bell(0.2, [[210, 0.45, 25], [420, 0.2, 35], [1330, 0.05, 60]]);
+        case 'leaves': {
+            // Crackly rustle: sparse clicks in quiet noise
+            let low = 0;
+            return this.create(0.25, t => {
+                low += (Math.random() * 2 - 1 - low) * 0.5;
+                const crackle = Math.random() < 0.03 ? Math.random() * 2 - 1 : 0;
+                return (low * 0.15 + crackle * 0.5) * Math.exp(-t * 12);
+            });
+        }
+        case 'water':
+            return this.noise(0.3, t => 2500 * Math.exp(-t * 8) + 300, t => Math.min(t / 0.01, 1) * Math.exp(-t * 10) * 0.5);
+        default: {
+            // Grass: a short hiss with the lows taken out
+            let low = 0;
+            return this.create(0.14, t => {
+                const white = Math.random() * 2 - 1;
+                low += (white - low) * 0.2;
+                return (white - low) * Math.min(t / 0.008, 1) * Math.exp(-t * 28) * 0.3;
+            });
+        }
+    }
+  }
+
+  birds() {
+    // Chirps scattered over a few seconds, each a quick warbling sweep
+    const duration = 6;
+    const chirps = [];
+    for (let start = 0.2; start < duration - 0.5; start += 0.25 + Math.random() * 0.9) {
+        chirps.push({ start, length: 0.06 + Math.random() * 0.1, pitch: 2800 + Math.random() * 1800, rise: Math.random() * 1500 });
+    }
+
+    let chirp = 0;
+    let phase = 0;
+    return this.create(duration, t => {
+        while (chirp < chirps.length && t > chirps[chirp].start + chirps[chirp].length) chirp++;
+        const current = chirps[chirp];
+        if (!current || t < current.start) return 0;
+
+        const local = (t - current.start) / current.length;
+        const frequency = current.pitch + current.rise * local + 300 * Math.sin(local * 30);
+        phase += frequency / this.sampleRate;
+        return Math.sin(2 * Math.PI * phase) * Math.sin(Math.PI * local) * 0.25;
+    });
+  }
+
+  // Noise that wraps: the last second fades into the first
+  loop(duration, fill) {
+    const fade = Math.floor(this.sampleRate);
+    const extended = this.create(duration + fade / this.sampleRate, fill).getChannelData(0);
+    const buffer = this.context.createBuffer(1, Math.ceil(duration * this.sampleRate), this.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = extended[i];
+        if (i < fade) {
+            const mix = i / fade;
+            data[i] = extended[i] * mix + extended[data.length + i] * (1 - mix);
+        }
+    }
+    return buffer;
+  }
+
+  water() {
+    // Deep rumble, lapping slowly
+    let low = 0;
+    return this.loop(4, t => {
+        low += (Math.random() * 2 - 1 - low) * 0.02;
+        return low * (0.6 + 0.4 * Math.sin(2 * Math.PI * t / 2)) * 1.5;
+    });
+  }
+
+  rain() {
+    // Hiss with drops pattering through it
+    let low = 0;
+    return this.loop(3, () => {
+        low += (Math.random() * 2 - 1 - low) * 0.3;
+        const drop = Math.random() < 0.002 ? Math.random() * 2 - 1 : 0;
+        return low * 0.2 + drop * 0.4;
+    });
+  }
+}
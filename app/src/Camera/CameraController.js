@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import CollisionGroups from '../Core/CollisionGroups.js';
+import ChaseCamera from './ChaseCamera.js';
+import OrbitCamera from './OrbitCamera.js';
+import FirstPersonCamera from './FirstPersonCamera.js';
+import CinematicCamera from './CinematicCamera.js';
+
+// Drives game.camera with one of several modes, switched with the 'camera' action.
+//
+// A mode fills a shot each frame: where the camera wants to be (position), what it
+// looks at (target) and a point it must be able to see from (pivot, the player's
+// head). A ray from the pivot to the position against terrain and solid bodies
+// pulls the camera in front of whatever is in the way (house walls, hills), then
+// lets it ease back out once the view clears.
+export default class CameraController {
+  static MODES = ['chase', 'orbit', 'firstPerson', 'cinematic'];
+
+  constructor(game) {
+    this.game = game;
+    this.camera = game.camera;
+    this.input = game.input;
+
+    this.modes = {
+        chase: new ChaseCamera(game),
+        orbit: new OrbitCamera(game),
+        firstPerson: new FirstPersonCamera(game),
+        cinematic: new CinematicCamera(game)
+    };
+    this.mode = null;
+
+    this.direction = new THREE.Vector3();
+    this.shot = { position: new THREE.Vector3(), target: new THREE.Vector3(), pivot: new THREE.Vector3() };
+
+    // Collision
+    this.margin = 0.3; // Stay this far in front of what we hit
+    this.minDistance = 0.5;
+    this.clearDistance = Infinity; // Eases back out after a pull-in
+    this.ray = new CANNON.Ray();
+    this.rayResult = new CANNON.RaycastResult();
+    this.rayOptions = { collisionFilterMask: CollisionGroups.CAMERA_BLOCKERS, skipBackfaces: true };
+
+    // Look input scale
+    this.lookSensitivity = 0.005; // Radians per dragged pixel
+    this.stickSpeed = 2.5; // Radians per second at full stick
+    this.stickZoomSpeed = 8; // Zoom notches per second at full trigger
+
+    this.initMouse();
+    this.setMode('chase');
+  }
+
+  // Drag on the canvas to look around (any button), wheel to zoom
+  initMouse() {
+    const element = this.game.renderer.domElement;
+    let dragging = false;
+
+    element.addEventListener('pointerdown', (e) => {
+        if (e.pointerType === 'mouse' && !this.isEditing()) dragging = true;
+    });
+    window.addEventListener('pointerup', () => { dragging = false; });
+    window.addEventListener('pointermove', (e) => {
+        if (dragging) this.input.addLook(e.movementX, e.movementY);
+    });
+    element.addEventListener('wheel', (e) => {
+        if (this.isEditing()) return;
+        e.preventDefault();
+        this.input.addZoom(Math.sign(e.deltaY));
+    }, { passive: false });
+  }
+
+  isEditing() {
+    return this.game.editor && this.game.editor.enabled;
+  }
+
+  setMode(name) {
+    if (this.mode && this.mode.exit) this.mode.exit();
+    this.mode = this.modes[name];
+    if (this.mode.enter) this.mode.enter();
+    this.clearDistance = Infinity;
+  }
+
+  nextMode() {
+    const modes = CameraController.MODES;
+    this.setMode(modes[(modes.indexOf(this.mode.name) + 1) % modes.length]);
+  }
+
+  // Heading the camera looks along (0 looks down -Z), for camera relative movement
+  getYaw() {
+    this.camera.getWorldDirection(this.direction);
+    return Math.atan2(-this.direction.x, -this.direction.z);
+  }
+
+  // Per tick: input edges only exist here
+  update() {
+    if (this.input.wasPressed('camera')) this.nextMode();
+  }
+
+  // Per frame, after the player mesh has been interpolated
+  render(alpha, deltaTime) {
+    const pixels = this.input.takeLook();
+    const look = {
+        x: pixels.x * this.lookSensitivity + this.input.getAxis('lookX') * this.stickSpeed * deltaTime,
+        y: pixels.y * this.lookSensitivity + this.input.getAxis('lookY') * this.stickSpeed * deltaTime,
+        zoom: pixels.zoom + this.input.getAxis('zoom') * this.stickZoomSpeed * deltaTime
+    };
+
+    const shot = this.shot;
+    this.mode.update(deltaTime, look, shot);
+    this.avoidCollisions(shot, deltaTime);
+
+    this.camera.position.copy(shot.position);
+    this.camera.lookAt(shot.target);
+  }
+
+  avoidCollisions(shot, deltaTime) {
+    const offset = shot.position.clone().sub(shot.pivot);
+    const distance = offset.length();
+    if (distance < 1e-3) return;
+
+    // Free distance along the pivot -> camera line
+    this.ray.from.set(shot.pivot.x, shot.pivot.y, shot.pivot.z);
+    this.ray.to.set(shot.position.x, shot.position.y, shot.position.z);
+    this.rayResult.reset();
+    this.game.physicsWorld.raycastClosest(this.ray.from, this.ray.to, this.rayOptions, this.rayResult);
+    const allowed = this.rayResult.hasHit
+        ? Math.max(this.rayResult.distance - this.margin, this.minDistance)
+        : distance;
+
+    // In at once (never show the inside of a wall), out smoothly
+    if (allowed < this.clearDistance) this.clearDistance = allowed;
+    else this.clearDistance += (allowed - this.clearDistance) * (1 - Math.exp(-4 * deltaTime));
+
+    if (this.clearDistance < distance) {
+        shot.position.copy(shot.pivot).addScaledVector(offset, this.clearDistance / distance);
+    }
+  }
+}
@@ -0,0 +1,54 @@
+import * as THREE from 'three';
+
+// Follows behind the player's facing at the tuning offset (0, 5, 12 by default),
+// lagging a little for smoothness. Look drags swing it around on top of that.
+// With camera relative movement it stops turning with the player: the player turns
+// toward where the camera points, so following the facing would chase its own tail.
+export default class ChaseCamera {
+  constructor(game) {
+    this.game = game;
+    this.name = 'chase';
+
+    this.baseYaw = 0; // Facing we sit behind
+    this.yaw = 0; // Offset from that
+    this.pitch = 0;
+    this.position = new THREE.Vector3();
+    this.snap = true;
+  }
+
+  enter() {
+    this.yaw = 0;
+    this.pitch = 0;
+    this.snap = true;
+  }
+
+  update(deltaTime, look, shot) {
+    const tuning = this.game.tuning.camera;
+    const player = this.game.player;
+
+    this.yaw -= look.x;
+    this.pitch = THREE.MathUtils.clamp(this.pitch + look.y, -0.4, 0.8);
+    if (this.snap || this.game.settings.get('movement') === 'tank') this.baseYaw = player.mesh.rotation.y;
+
+    // Camera always behind player
+    // Calculate offset based on player rotation
+    const relativeOffset = new THREE.Vector3(tuning.offsetX, tuning.offsetY, tuning.offsetZ);
+    // Swing up/down, then around with the player (plus any look drag)
+    relativeOffset.applyAxisAngle(new THREE.Vector3(1, 0, 0), -this.pitch);
+    relativeOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.baseYaw + this.yaw);
+
+    const targetPos = player.mesh.position.clone().add(relativeOffset);
+
+    // Smooth follow using frame-rate independent damping
+    // Factor = 1 - Math.exp(-decay * dt)
+    // Decay 5.0 is smooth, 10.0 is snappy
+    const factor = this.snap ? 1 : 1.0 - Math.exp(-tuning.followDecay * deltaTime);
+    this.snap = false;
+    this.position.lerp(targetPos, factor);
+
+    // Look at player head
+    shot.target.copy(player.mesh.position).y += tuning.lookHeight;
+    shot.pivot.copy(shot.target);
+    shot.position.copy(this.position);
+  }
+}
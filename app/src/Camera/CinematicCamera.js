@@ -0,0 +1,46 @@
+import * as THREE from 'three';
+
+// Fixed shots: the camera stays put and pans to follow the player, then cuts to a
+// new spot ahead of them once they get too far away (or too close).
+export default class CinematicCamera {
+  constructor(game) {
+    this.game = game;
+    this.name = 'cinematic';
+
+    this.position = new THREE.Vector3();
+    this.maxDistance = 30;
+    this.minDistance = 4;
+    this.needsCut = true;
+  }
+
+  enter() {
+    this.needsCut = true;
+  }
+
+  update(deltaTime, look, shot) {
+    const player = this.game.player;
+    shot.target.copy(player.mesh.position).y += this.game.tuning.camera.lookHeight;
+    shot.pivot.copy(shot.target);
+
+    const distance = this.position.distanceTo(shot.target);
+    if (this.needsCut || distance > this.maxDistance || distance < this.minDistance) {
+        this.cut(player);
+        this.needsCut = false;
+    }
+    shot.position.copy(this.position);
+  }
+
+  // Somewhere off to the side, ahead of where the player is heading
+  cut(player) {
+    const heading = player.heading;
+    const ahead = 12 + Math.random() * 6;
+    const side = (Math.random() - 0.5) * 16;
+
+    const x = player.mesh.position.x - Math.sin(heading) * ahead + Math.cos(heading) * side;
+    const z = player.mesh.position.z - Math.cos(heading) * ahead - Math.sin(heading) * side;
+    const ground = this.game.world.getTerrainHeightAt(x, z);
+    const y = Math.max(ground, this.game.world.water.getLevelAt(x, z) ?? ground) + 3 + Math.random() * 4;
+
+    this.position.set(x, y, z);
+  }
+}
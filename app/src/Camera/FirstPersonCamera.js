@@ -0,0 +1,47 @@
+import * as THREE from 'three';
+
+// Through the player's eyes. Looks where the player faces; drags look around
+// from there. The character model is hidden so it doesn't block the view.
+// With camera relative movement the view doesn't turn with the player (see ChaseCamera).
+export default class FirstPersonCamera {
+  constructor(game) {
+    this.game = game;
+    this.name = 'firstPerson';
+
+    this.baseYaw = 0; // Facing we look along
+    this.yaw = 0; // Offset from that
+    this.pitch = 0;
+    this.eyeHeight = 0.7; // Matches the head
+    this.direction = new THREE.Vector3();
+  }
+
+  enter() {
+    this.baseYaw = this.game.player.mesh.rotation.y;
+    this.yaw = 0;
+    this.pitch = 0;
+    this.game.player.characterVisual.visible = false;
+  }
+
+  exit() {
+    this.game.player.characterVisual.visible = true;
+  }
+
+  update(deltaTime, look, shot) {
+    this.yaw -= look.x;
+    // Dragging down looks down
+    this.pitch = THREE.MathUtils.clamp(this.pitch - look.y, -1.4, 1.4);
+
+    const player = this.game.player;
+    shot.position.copy(player.mesh.position).y += this.eyeHeight;
+    shot.pivot.copy(shot.position);
+
+    if (this.game.settings.get('movement') === 'tank') this.baseYaw = player.mesh.rotation.y;
+    const yaw = this.baseYaw + this.yaw;
+    this.direction.set(
+        -Math.sin(yaw) * Math.cos(this.pitch),
+        Math.sin(this.pitch),
+        -Math.cos(yaw) * Math.cos(this.pitch)
+    );
+    shot.target.copy(shot.position).add(this.direction);
+  }
+}
@@ -0,0 +1,45 @@
+import * as THREE from 'three';
+
+// Free orbit around the player: drag (mouse, touch) or right stick to rotate,
+// wheel or triggers to zoom. Doesn't turn with the player.
+export default class OrbitCamera {
+  constructor(game) {
+    this.game = game;
+    this.name = 'orbit';
+
+    this.yaw = 0;
+    this.pitch = 0.35; // Radians above the horizon
+    this.distance = 10;
+    this.minDistance = 3;
+    this.maxDistance = 30;
+    this.minPitch = -0.3;
+    this.maxPitch = 1.4;
+    this.zoomStep = 1.1; // Distance factor per wheel notch
+  }
+
+  // Start from behind the player so switching in doesn't jump
+  enter() {
+    this.yaw = this.game.player.heading;
+  }
+
+  update(deltaTime, look, shot) {
+    this.yaw -= look.x;
+    this.pitch = THREE.MathUtils.clamp(this.pitch + look.y, this.minPitch, this.maxPitch);
+    this.distance = THREE.MathUtils.clamp(
+        this.distance * Math.pow(this.zoomStep, look.zoom),
+        this.minDistance,
+        this.maxDistance
+    );
+
+    shot.target.copy(this.game.player.mesh.position).y += this.game.tuning.camera.lookHeight;
+    shot.pivot.copy(shot.target);
+
+    // Spherical offset; yaw 0 is behind a player facing -Z, like the chase cam
+    const horizontal = Math.cos(this.pitch) * this.distance;
+    shot.position.set(
+        Math.sin(this.yaw) * horizontal,
+        Math.sin(this.pitch) * this.distance,
+        Math.cos(this.yaw) * horizontal
+    ).add(shot.target);
+  }
+}
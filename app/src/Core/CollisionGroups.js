@@ -0,0 +1,12 @@
+// Physics collision filter groups (bit flags for body.collisionFilterGroup / ray masks).
+// Everything not listed stays in cannon's default group 1.
+const CollisionGroups = {
+  DEFAULT: 1,
+  PLAYER: 2,
+  TRIGGER: 4, // Collectibles and other sensors
+
+  // What the camera treats as solid: not the player, not pickups
+  CAMERA_BLOCKERS: 1
+};
+
+export default CollisionGroups;
@@ -0,0 +1,81 @@
+// Publish/subscribe for gameplay notifications (game.events).
+// Gameplay code emits, UI/audio/achievements subscribe:
+//   const off = game.events.on('item:collected', ({ item, score }) => ...);
+//   off(); // Unsubscribe
+//
+// Every event is declared in EVENTS with the fields its payload carries.
+// Using an undeclared name throws, and a payload missing a field is reported,
+// so a typo can't silently leave a subscriber deaf.
+export default class EventBus {
+  static EVENTS = {
+    'item:collected': ['item', 'score', 'position'], // item: { id, type, value }
+    'score:changed': ['score'],
+    'door:opened': ['door', 'position'],             // door: house id
+    'door:closed': ['door', 'position'],
+    'player:jumped': ['jumpCount', 'fromWater'],     // jumpCount: 1 to maxJumps, 0 for a swim launch
+    'player:enteredWater': ['position'],
+    'player:leftWater': ['position'],
+    'player:respawned': ['position'],
+    'player:dived': ['position'],                    // Head went under
+    'player:surfaced': ['position'],
+    'player:breathChanged': ['breath'],              // 0..1, in steps of 1%
+    'player:outOfBreath': ['position'],
+    'player:landed': ['position', 'surface', 'speed'], // surface: see CharacterController
+    'player:footstep': ['position', 'surface'],      // Every stride on the ground
+    'player:swimStroke': ['position'],
+    'water:splash': ['body', 'water', 'position', 'speed', 'entering'], // Any dynamic body crossing a pond surface
+    'time:nightfall': ['hour'],                      // The sun went down (see DayNight)
+    'time:daybreak': ['hour'],
+    'weather:changed': ['state', 'previous'],       // state: see Weather.STATES
+    'settings:changed': ['key', 'value']
+  };
+
+  constructor() {
+    this.handlers = new Map();
+    this.logging = false; // Log every event to the console (?logEvents)
+  }
+
+  check(name) {
+    if (!EventBus.EVENTS[name]) throw new Error(`Unknown event "${name}"`);
+  }
+
+  on(name, handler) {
+    this.check(name);
+    if (!this.handlers.has(name)) this.handlers.set(name, new Set());
+    this.handlers.get(name).add(handler);
+    return () => this.off(name, handler);
+  }
+
+  once(name, handler) {
+    const off = this.on(name, (payload) => {
+        off();
+        handler(payload);
+    });
+    return off;
+  }
+
+  off(name, handler) {
+    this.handlers.get(name)?.delete(handler);
+  }
+
+  emit(name, payload = {}) {
+    this.check(name);
+
+    const missing = EventBus.EVENTS[name].filter(field => !(field in payload));
+    if (missing.length > 0) console.warn(`Event "${name}" is missing ${missing.join(', ')}`, payload);
+    if (this.logging) console.log(name, payload);
+
+    const handlers = this.handlers.get(name);
+    if (!handlers) return;
+
+    // Copy so handlers can unsubscribe while we're notifying
+    [...handlers].forEach(handler => {
+        // One broken subscriber shouldn't take gameplay down with it
+        try {
+            handler(payload);
+        } catch (error) {
+            console.error(`Error in a "${name}" handler`, error);
+        }
+    });
+  }
+}
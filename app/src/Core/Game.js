@@ -1,17 +1,39 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import InputManager from './InputManager.js';
+import GamepadInput from './GamepadInput.js';
+import Random from './Random.js';
+import Time from './Time.js';
+import SystemRegistry from './SystemRegistry.js';
+import EventBus from './EventBus.js';
+import Tuning from './Tuning.js';
+import Settings from './Settings.js';
+import SaveManager from './SaveManager.js';
 import World from '../World/World.js';
 import Player from '../Entities/Player.js';
 import CollectiblesManager from '../Entities/Collectibles.js';
+import createTerrainSource from '../World/Terrain/createTerrainSource.js';
+import Level from '../World/Level.js';
+import DayNight from '../World/DayNight.js';
+import Weather from '../World/Weather.js';
+import SoundManager from '../Audio/SoundManager.js';
+import Editor from '../Editor/Editor.js';
+import TuningPanel from '../Editor/TuningPanel.js';
+import SavePanel from '../UI/SavePanel.js';
+import Hud from '../UI/Hud.js';
+import ControlsPanel from '../UI/ControlsPanel.js';
+import CameraController from '../Camera/CameraController.js';
+import TouchControls from '../UI/TouchControls.js';
 
 export default class Game {
   constructor() {
     this.container = document.getElementById('game-container');
     
-    // Time
+    // Time: real frame time from the clock, gameplay in fixed ticks
     this.clock = new THREE.Clock();
     this.deltaTime = 0;
+    this.time = new Time();
+    this.timeElement = document.getElementById('time');
 
     // Sizes
     this.sizes = {
@@ -19,27 +41,130 @@ export default class Game {
       height: window.innerHeight
     };
 
+    // Live-editable gameplay numbers (F2 panel)
+    this.tuning = new Tuning();
+
+    // What runs each tick/frame (see SystemRegistry.js)
+    this.systems = new SystemRegistry();
+
+    // Gameplay notifications (see EventBus.js); ?logEvents prints them all
+    this.events = new EventBus();
+    this.events.logging = new URLSearchParams(window.location.search).has('logEvents');
+
+    // Player preferences, saved across visits (F4 panel)
+    this.settings = new Settings(this);
+
+    this.initSeed();
     this.initThree();
     this.initPhysics();
     this.initInput();
-    
-    // Components
-    this.world = new World(this);
-    this.player = new Player(this);
-    this.collectibles = new CollectiblesManager(this);
+    this.initTimeControls();
     
     // Resize event
     window.addEventListener('resize', () => this.resize());
 
+    this.ready = this.init();
+  }
+
+  // Components that depend on loaded assets (terrain heightmaps etc.)
+  async init() {
+    const level = await this.loadLevel();
+
+    // Level terrain settings, URL parameters on top
+    const terrainSource = await createTerrainSource({ ...level?.terrain, ...this.getTerrainOptions() });
+
+    // Listens for score changes, so before anything can collect
+    this.hud = new Hud(this);
+
+    // Components, updated in priority order after the physics step (priority 0)
+    // Collectibles exist before the world so chunks and houses can place items
+    this.collectibles = new CollectiblesManager(this);
+    this.world = new World(this, { terrainSource, level });
+    this.player = new Player(this);
+    this.systems.add(this.world, { name: 'world', priority: 10 });
+    this.systems.add(this.player, { name: 'player', priority: 20 });
+    // Renders after the player so it frames the interpolated position
+    this.cameraController = this.systems.add(new CameraController(this), { name: 'camera', priority: 25 });
+    // Sun, moon and sky follow this frame's view, after the water decided whether it's under
+    this.dayNight = this.systems.add(new DayNight(this), { name: 'dayNight', priority: 42 });
+    // Before the sky, which clouds over with it
+    this.weather = this.systems.add(new Weather(this), { name: 'weather', priority: 41 });
+    // Ambience follows this frame's camera, and plays on while paused
+    this.sound = this.systems.add(new SoundManager(this), { name: 'sound', priority: 50, pausable: false });
+    // After the player so items taken this tick are cleaned up in the same tick
+    this.systems.add(this.collectibles, { name: 'collectibles', priority: 30 });
+
+    // Tools keep running while the game is paused
+    this.editor = this.systems.add(new Editor(this), { name: 'editor', pausable: false, enabled: false });
+    this.tuningPanel = new TuningPanel(this);
+
+    // Progress: resume the autosave (or the slot being loaded), then keep saving
+    this.saves = this.systems.add(new SaveManager(this), { name: 'saves', pausable: false });
+    this.saves.restoreOnStart();
+    this.savePanel = new SavePanel(this);
+    this.controlsPanel = new ControlsPanel(this);
+
+    // On-screen joystick and buttons, only on touch devices
+    this.touchControls = new TouchControls(this);
+    if (this.touchControls.enabled) this.systems.add(this.touchControls, { name: 'touch', pausable: false });
+
     // Loop
     this.update();
   }
 
+  // ?level=levels/park.json builds the park from a level file instead of the seed
+  async loadLevel() {
+    const url = new URLSearchParams(window.location.search).get('level');
+    if (!url) return null;
+    this.levelUrl = url; // Saves remember which level they belong to
+
+    try {
+        return await Level.load(url);
+    } catch (error) {
+        console.warn('Level failed to load, generating from seed instead.', error);
+        return null;
+    }
+  }
+
+  // Download the current park as a level file, e.g. game.downloadLevel() from the console
+  downloadLevel() {
+    Level.download(this.world.exportLevel(), `park-${this.seed}.json`);
+  }
+
+  // ?terrain=terrain/hills.png&terrainScale=12&terrainSize=200&terrainResolution=128
+  getTerrainOptions() {
+    const params = new URLSearchParams(window.location.search);
+    const options = {};
+
+    if (params.has('terrain')) options.url = params.get('terrain');
+    if (params.has('terrainType')) options.type = params.get('terrainType');
+    if (params.has('terrainSize')) options.size = Number(params.get('terrainSize'));
+    if (params.has('terrainResolution')) options.resolution = Number(params.get('terrainResolution'));
+    if (params.has('terrainScale')) options.verticalScale = Number(params.get('terrainScale'));
+    if (params.has('terrainOffset')) options.heightOffset = Number(params.get('terrainOffset'));
+
+    return options;
+  }
+
+  initSeed() {
+    // ?seed=abc reproduces a park; without one we roll a new seed
+    const params = new URLSearchParams(window.location.search);
+    this.seed = params.get('seed') || Random.randomSeed();
+    this.random = new Random(this.seed);
+
+    // Keep it in the URL so a reload (or a shared link) gives the same park
+    params.set('seed', this.seed);
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+
+    const seedElement = document.getElementById('seed');
+    if (seedElement) seedElement.innerText = `Seed: ${this.seed}`;
+  }
+
   initThree() {
     // Scene
     this.scene = new THREE.Scene();
-    this.scene.background = new THREE.Color('#87CEEB'); // Sky blue
-    this.scene.fog = new THREE.Fog('#87CEEB', 20, 100);
+    this.scene.background = new THREE.Color('#87CEEB'); // Sky blue, until the time of day takes over
+    this.scene.fog = new THREE.Fog('#87CEEB', 20, 100); // Range and camera far plane follow the draw distance setting
 
     // Camera
     this.camera = new THREE.PerspectiveCamera(75, this.sizes.width / this.sizes.height, 0.1, 1000);
@@ -54,31 +179,19 @@ export default class Game {
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     this.container.appendChild(this.renderer.domElement);
 
-    // Lights
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    this.scene.add(ambientLight);
-
-    const dirLight = new THREE.DirectionalLight(0xffffff, 1);
-    dirLight.position.set(10, 20, 10);
-    dirLight.castShadow = true;
-    dirLight.shadow.mapSize.width = 2048;
-    dirLight.shadow.mapSize.height = 2048;
-    dirLight.shadow.camera.near = 0.5;
-    dirLight.shadow.camera.far = 50;
-    dirLight.shadow.camera.left = -25;
-    dirLight.shadow.camera.right = 25;
-    dirLight.shadow.camera.top = 25;
-    dirLight.shadow.camera.bottom = -25;
-    this.scene.add(dirLight);
+    // Lights and sky come with the time of day (see DayNight.js)
   }
 
   initPhysics() {
     this.physicsWorld = new CANNON.World();
-    this.physicsWorld.gravity.set(0, -9.82, 0);
+    // Sweep and prune: pairs come from sorted bounds instead of checking every body against every other
+    this.physicsWorld.broadphase = new CANNON.SAPBroadphase(this.physicsWorld);
+    // Dynamic bodies that come to rest stop being integrated until something hits them
+    this.physicsWorld.allowSleep = true;
     
     // Materials
     this.defaultMaterial = new CANNON.Material('default');
-    const defaultContactMaterial = new CANNON.ContactMaterial(
+    this.defaultContactMaterial = new CANNON.ContactMaterial(
       this.defaultMaterial,
       this.defaultMaterial,
       {
@@ -86,11 +199,83 @@ export default class Game {
         restitution: 0.0 // No bounce
       }
     );
-    this.physicsWorld.addContactMaterial(defaultContactMaterial);
+    this.physicsWorld.addContactMaterial(this.defaultContactMaterial);
+
+    this.applyTuning();
+
+    // Exactly one step per tick, the accumulator lives in Time.
+    // Step time is averaged for the tuning panel, to keep an eye on collider counts.
+    this.physicsStats = { stepMs: 0, bodies: 0 };
+    this.systems.add({ update: delta => this.stepPhysics(delta) }, { name: 'physics', priority: 0 });
+  }
+
+  stepPhysics(delta) {
+    const start = performance.now();
+    this.physicsWorld.step(delta);
+
+    const stats = this.physicsStats;
+    stats.stepMs += (performance.now() - start - stats.stepMs) * 0.05;
+    stats.bodies = this.physicsWorld.bodies.length;
+  }
+
+  // Push tuning values that live on physics objects rather than being read per frame
+  applyTuning() {
+    const physics = this.tuning.physics;
+    this.physicsWorld.gravity.set(0, physics.gravity, 0);
+    this.defaultContactMaterial.friction = physics.friction;
+    this.defaultContactMaterial.restitution = physics.restitution;
+
+    if (this.player) this.player.body.linearDamping = this.tuning.player.linearDamping;
   }
 
   initInput() {
     this.input = new InputManager();
+    // Last in every tick: clears the pressed/released edges everyone just read
+    this.systems.add(this.input, { name: 'input', priority: 1000 });
+
+    // Polled first in every tick, so gameplay sees this tick's stick and buttons
+    this.gamepad = this.systems.add(new GamepadInput(this), { name: 'gamepad', priority: -10 });
+  }
+
+  // Debug time controls: P pause, . single step, [ ] slower/faster, \ normal speed
+  // (see InputManager.RESERVED_KEYS)
+  initTimeControls() {
+    const keys = InputManager.RESERVED_KEYS;
+    window.addEventListener('keydown', (e) => {
+        if (e.target.tagName === 'INPUT') return;
+
+        switch (e.code) {
+          case keys.pause:
+            this.time.togglePause();
+            break;
+          case keys.step:
+            this.time.step();
+            break;
+          case keys.slower:
+            this.time.setTimeScale(this.time.timeScale / 2);
+            break;
+          case keys.faster:
+            this.time.setTimeScale(this.time.timeScale * 2);
+            break;
+          case keys.normalSpeed:
+            this.time.setTimeScale(1);
+            break;
+          default:
+            return;
+        }
+        this.updateTimeDisplay();
+    });
+  }
+
+  updateTimeDisplay() {
+    if (!this.timeElement) return;
+    const { paused, timeScale } = this.time;
+    if (paused) {
+        const key = name => this.input.describeKey(InputManager.RESERVED_KEYS[name]);
+        this.timeElement.innerText = `Paused (${key('pause')} to resume, ${key('step')} to step)`;
+    }
+    else if (timeScale !== 1) this.timeElement.innerText = `Speed x${timeScale}`;
+    else this.timeElement.innerText = '';
   }
 
   resize() {
@@ -105,35 +290,16 @@ export default class Game {
   }
 
   update() {
-    let delta = this.clock.getDelta();
-    
-    // Cap delta to prevent huge jumps/spirals (e.g. tab switching)
-    delta = Math.min(delta, 0.05);
-    
-    this.deltaTime = delta;
-
-    // Physics step
-    this.physicsWorld.step(1 / 60, delta, 10);
-
-    // Update entities
-    if (this.world) this.world.update(delta);
-    if (this.player) this.player.update(delta);
-    if (this.collectibles) this.collectibles.update(delta);
-
-    // Update Directional Light position to follow player (for consistent shadows)
-    if (this.player && this.player.mesh) {
-        const light = this.scene.children.find(c => c.isDirectionalLight);
-        if (light) {
-            // Keep offset
-            light.position.set(
-                this.player.mesh.position.x + 10,
-                this.player.mesh.position.y + 20,
-                this.player.mesh.position.z + 10
-            );
-            light.target.position.copy(this.player.mesh.position);
-            light.target.updateMatrixWorld();
-        }
+    // Cap the frame time so a long stall (e.g. tab switching) doesn't replay
+    this.deltaTime = Math.min(this.clock.getDelta(), 0.25);
+
+    const ticks = this.time.advance(this.deltaTime);
+    for (let i = 0; i < ticks; i++) {
+        this.time.tick();
+        this.systems.update(this.time.fixedDelta);
     }
+    this.systems.updateRealtime(this.deltaTime);
+    this.systems.render(this.time.alpha, this.deltaTime);
 
     // Render
     this.renderer.render(this.scene, this.camera);
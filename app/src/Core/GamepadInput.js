@@ -0,0 +1,93 @@
+// Gamepad API polling into the InputManager's 'gamepad' source.
+// Uses the first connected pad with the standard mapping (Xbox layout names):
+//   left stick   move / turn (analog)     d-pad   move / turn (digital)
+//   right stick  camera look              LT/RT   camera zoom out / in
+//   A            jump                     B       run
+//   X            interact                 Y       switch camera
+//   LB           dive
+// Pads can be plugged in or out at any time.
+export default class GamepadInput {
+  static SOURCE = 'gamepad';
+
+  // Standard mapping button indices
+  static BUTTONS = {
+    jump: [0],       // A
+    run: [1],        // B
+    interact: [2],   // X
+    camera: [3],     // Y
+    dive: [4],       // LB
+    forward: [12],   // D-pad
+    backward: [13],
+    left: [14],
+    right: [15]
+  };
+
+  constructor(game) {
+    this.game = game;
+    this.input = game.input;
+
+    this.index = null; // Gamepad in use
+    this.deadZone = 0.2; // Stick travel ignored around the center (drift)
+
+    window.addEventListener('gamepadconnected', (e) => this.onConnected(e.gamepad));
+    window.addEventListener('gamepaddisconnected', (e) => this.onDisconnected(e.gamepad));
+  }
+
+  onConnected(gamepad) {
+    if (this.index !== null) return;
+    // Non-standard pads report buttons in any order
+    if (gamepad.mapping !== 'standard') console.warn(`Gamepad "${gamepad.id}" has no standard mapping, buttons may be mixed up.`);
+    this.index = gamepad.index;
+  }
+
+  onDisconnected(gamepad) {
+    if (gamepad.index !== this.index) return;
+    this.index = null;
+    this.input.clearSource(GamepadInput.SOURCE);
+
+    // Switch to another pad that is still plugged in
+    const other = this.getGamepads().find(pad => pad && pad.connected && pad.index !== gamepad.index);
+    if (other) this.onConnected(other);
+  }
+
+  getGamepads() {
+    return navigator.getGamepads ? [...navigator.getGamepads()] : [];
+  }
+
+  // Polled at the start of each tick, before anything reads input
+  update() {
+    // Some browsers only fire gamepadconnected after a button press, polling catches the rest
+    if (this.index === null) {
+        const pad = this.getGamepads().find(pad => pad && pad.connected);
+        if (!pad) return;
+        this.onConnected(pad);
+    }
+
+    const pad = this.getGamepads()[this.index];
+    if (!pad || !pad.connected) return;
+
+    Object.entries(GamepadInput.BUTTONS).forEach(([action, indices]) => {
+        const held = indices.some(i => pad.buttons[i]?.pressed);
+        this.input.setSourceAction(GamepadInput.SOURCE, action, held);
+    });
+
+    // Stick up is negative on the Y axis
+    const [x, y] = this.applyDeadZone(pad.axes[0] ?? 0, pad.axes[1] ?? 0);
+    this.input.setSourceAxis(GamepadInput.SOURCE, 'move', -y);
+    this.input.setSourceAxis(GamepadInput.SOURCE, 'turn', x);
+
+    const [lookX, lookY] = this.applyDeadZone(pad.axes[2] ?? 0, pad.axes[3] ?? 0);
+    this.input.setSourceAxis(GamepadInput.SOURCE, 'lookX', lookX);
+    this.input.setSourceAxis(GamepadInput.SOURCE, 'lookY', lookY);
+    this.input.setSourceAxis(GamepadInput.SOURCE, 'zoom', (pad.buttons[6]?.value ?? 0) - (pad.buttons[7]?.value ?? 0));
+  }
+
+  // Radial dead zone, rescaled so output still starts at 0 and reaches 1
+  applyDeadZone(x, y) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude < this.deadZone) return [0, 0];
+
+    const scaled = Math.min((magnitude - this.deadZone) / (1 - this.deadZone), 1);
+    return [x / magnitude * scaled, y / magnitude * scaled];
+  }
+}
@@ -1,77 +1,296 @@
+// Player input as named actions.
+// Each action is bound to one or more key codes (event.code, i.e. physical keys)
+// and can be asked whether it is held, or was pressed/released since the last tick:
+//   input.isHeld('run'), input.wasPressed('jump'), input.wasReleased('jump')
+// Bindings are rebindable (see UI/ControlsPanel.js) and kept in localStorage.
+//
+// Other devices (GamepadInput.js, UI/TouchControls.js) report into named sources:
+// held actions plus analog axes in -1..1. input.getAxis('move') mixes them with
+// the keyboard. Camera look drags and wheel zoom pile up until the camera takes them (takeLook).
+// While suspended (the editor has the keyboard) every action reads as idle.
 export default class InputManager {
+  static STORAGE_KEY = 'park:bindings';
+
+  static ACTIONS = {
+    forward: { label: 'Move forward', keys: ['KeyW', 'ArrowUp'] },
+    backward: { label: 'Move back', keys: ['KeyS', 'ArrowDown'] },
+    left: { label: 'Turn left', keys: ['KeyA', 'ArrowLeft'] },
+    right: { label: 'Turn right', keys: ['KeyD', 'ArrowRight'] },
+    jump: { label: 'Jump', keys: ['Space'] },
+    run: { label: 'Run', keys: ['ShiftLeft', 'ShiftRight'] },
+    interact: { label: 'Interact', keys: ['KeyE'] },
+    dive: { label: 'Dive (hold)', keys: ['KeyQ', 'ControlLeft'] },
+    camera: { label: 'Switch camera', keys: ['KeyC'] }
+  };
+
+  // Fixed keys for the debug tools and menus, read by their own listeners. They can't
+  // be bound to actions, or one press would do both. (The editor's other keys only
+  // work while it's open, and actions are suspended then.)
+  static RESERVED_KEYS = {
+    editor: 'Backquote',
+    tuning: 'F2',
+    saves: 'F3',
+    controls: 'F4',
+    pause: 'KeyP',
+    step: 'Period',
+    slower: 'BracketLeft',
+    faster: 'BracketRight',
+    normalSpeed: 'Backslash'
+  };
+
+  // Punctuation as it's printed on a US keyboard, for when the layout is unknown
+  static KEY_NAMES = {
+    Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+    Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/'
+  };
+
+  // Analog axes and the actions that drive them digitally: [negative, positive].
+  // Axes without actions only come from analog sources (sticks, triggers).
+  static AXES = {
+    move: ['backward', 'forward'],
+    turn: ['left', 'right'],
+    lookX: null,
+    lookY: null,
+    zoom: null
+  };
+
   constructor() {
-    this.keys = {
-      forward: false,
-      backward: false,
-      left: false,
-      right: false,
-      jump: false,
-      run: false,
-    };
+    this.bindings = this.loadBindings();
+
+    // Physical key state; edges last until the end of the next tick
+    this.down = new Set();
+    this.pressed = new Set();
+    this.released = new Set();
+
+    // Non-keyboard devices: source name -> { actions: Set, axes: { move, turn } }
+    this.sources = new Map();
+    this.pressedActions = new Set();
+    this.releasedActions = new Set();
+
+    // Camera look in pixels dragged (and wheel notches) since the camera last asked
+    this.look = { x: 0, y: 0, zoom: 0 };
+
+    // Set while the controls menu waits for a key to bind
+    this.capture = null;
+    this.suspended = false;
+
+    // Labels in the user's own layout (e.g. KeyW shows as Z on AZERTY), where supported
+    this.layoutMap = null;
+    this.layoutReady = Promise.resolve(navigator.keyboard?.getLayoutMap?.())
+        .then(map => { this.layoutMap = map ?? null; })
+        .catch(() => {});
 
     window.addEventListener('keydown', (e) => this.onKeyDown(e));
     window.addEventListener('keyup', (e) => this.onKeyUp(e));
+    // Keys released while the window is in the background never send keyup
+    window.addEventListener('blur', () => this.reset());
   }
 
   onKeyDown(event) {
-    switch (event.code) {
-      case 'KeyW':
-      case 'ArrowUp':
-        this.keys.forward = true;
-        break;
-      case 'KeyS':
-      case 'ArrowDown':
-        this.keys.backward = true;
-        break;
-      case 'KeyA':
-      case 'ArrowLeft':
-        this.keys.left = true;
-        break;
-      case 'KeyD':
-      case 'ArrowRight':
-        this.keys.right = true;
-        break;
-      case 'Space':
-        this.keys.jump = true;
-        break;
-      case 'ShiftLeft':
-      case 'ShiftRight':
-        this.keys.run = true;
-        break;
-      case 'KeyE':
-        this.keys.interact = true;
-        break;
+    if (this.capture) {
+        // Don't let the key do anything else (editor, debug keys)
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        const resolve = this.capture;
+        this.capture = null;
+        resolve(event.code);
+        return;
     }
+    // Typing into a menu field
+    if (event.target.tagName === 'INPUT') return;
+    if (event.repeat || this.suspended) return;
+
+    this.down.add(event.code);
+    this.pressed.add(event.code);
   }
 
   onKeyUp(event) {
-    switch (event.code) {
-      case 'KeyW':
-      case 'ArrowUp':
-        this.keys.forward = false;
-        break;
-      case 'KeyS':
-      case 'ArrowDown':
-        this.keys.backward = false;
-        break;
-      case 'KeyA':
-      case 'ArrowLeft':
-        this.keys.left = false;
-        break;
-      case 'KeyD':
-      case 'ArrowRight':
-        this.keys.right = false;
-        break;
-      case 'Space':
-        this.keys.jump = false;
-        break;
-      case 'ShiftLeft':
-      case 'ShiftRight':
-        this.keys.run = false;
-        break;
-      case 'KeyE':
-        this.keys.interact = false;
-        break;
+    if (!this.down.has(event.code)) return;
+    this.down.delete(event.code);
+    this.released.add(event.code);
+  }
+
+  isHeld(action) {
+    if (this.suspended) return false;
+    if (this.bindings[action].some(code => this.down.has(code))) return true;
+    for (const source of this.sources.values()) {
+        if (source.actions.has(action)) return true;
+    }
+    return false;
+  }
+
+  wasPressed(action) {
+    if (this.suspended) return false;
+    return this.pressedActions.has(action) || this.bindings[action].some(code => this.pressed.has(code));
+  }
+
+  wasReleased(action) {
+    if (this.suspended) return false;
+    return this.releasedActions.has(action) || this.bindings[action].some(code => this.released.has(code));
+  }
+
+  // -1..1: digital actions give the extremes, analog sources anything between.
+  // The strongest input wins so a stick and a key don't add up to double speed.
+  getAxis(axis) {
+    if (this.suspended) return 0;
+    const actions = InputManager.AXES[axis];
+    let value = actions ? (this.isHeld(actions[1]) ? 1 : 0) - (this.isHeld(actions[0]) ? 1 : 0) : 0;
+
+    for (const source of this.sources.values()) {
+        const analog = source.axes[axis] ?? 0;
+        if (Math.abs(analog) > Math.abs(value)) value = analog;
+    }
+    return value;
+  }
+
+  getSource(name) {
+    if (!this.sources.has(name)) this.sources.set(name, { actions: new Set(), axes: {} });
+    return this.sources.get(name);
+  }
+
+  // Devices report their button state here (edges are derived from the changes)
+  setSourceAction(name, action, held) {
+    const actions = this.getSource(name).actions;
+    if (held === actions.has(action)) return;
+
+    if (held) {
+        actions.add(action);
+        this.pressedActions.add(action);
+    } else {
+        actions.delete(action);
+        this.releasedActions.add(action);
+    }
+  }
+
+  setSourceAxis(name, axis, value) {
+    this.getSource(name).axes[axis] = value;
+  }
+
+  // Device went away: let go of everything it was holding
+  clearSource(name) {
+    const source = this.sources.get(name);
+    if (!source) return;
+    source.actions.forEach(action => this.releasedActions.add(action));
+    this.sources.delete(name);
+  }
+
+  addLook(dx, dy) {
+    this.look.x += dx;
+    this.look.y += dy;
+  }
+
+  addZoom(steps) {
+    this.look.zoom += steps;
+  }
+
+  // Look movement since the last call (once per rendered frame, by the camera)
+  takeLook() {
+    const look = { ...this.look };
+    this.look.x = 0;
+    this.look.y = 0;
+    this.look.zoom = 0;
+    return look;
+  }
+
+  // Registered as the last system of the tick: everyone has seen this tick's edges
+  update() {
+    this.pressed.clear();
+    this.released.clear();
+    this.pressedActions.clear();
+    this.releasedActions.clear();
+  }
+
+  reset() {
+    this.down.forEach(code => this.released.add(code));
+    this.down.clear();
+  }
+
+  // Keys held going in are let go, nothing pressed meanwhile carries over
+  setSuspended(suspended) {
+    this.suspended = suspended;
+    this.reset();
+  }
+
+  // Resolves with the code of the next key pressed (instead of it reaching the game)
+  captureNextKey() {
+    return new Promise(resolve => {
+        this.capture = resolve;
+    });
+  }
+
+  cancelCapture() {
+    if (this.capture) this.capture(null);
+    this.capture = null;
+  }
+
+  static isReserved(code) {
+    return Object.values(InputManager.RESERVED_KEYS).includes(code);
+  }
+
+  // Bind code to action's slot (0 = primary, 1 = secondary); null clears the slot.
+  // A key can only drive one action, so it is taken off any other.
+  // Returns false for a reserved key, which is left alone.
+  bind(action, slot, code) {
+    if (code && InputManager.isReserved(code)) return false;
+    if (code) {
+        Object.keys(this.bindings).forEach(other => {
+            this.bindings[other] = this.bindings[other].filter(c => c !== code);
+        });
+    }
+
+    const keys = [...this.bindings[action]];
+    if (code) keys[slot] = code;
+    else keys.splice(slot, 1);
+    this.bindings[action] = keys.filter(Boolean);
+
+    this.saveBindings();
+    return true;
+  }
+
+  resetBindings() {
+    this.bindings = InputManager.getDefaultBindings();
+    this.saveBindings();
+  }
+
+  static getDefaultBindings() {
+    const bindings = {};
+    Object.entries(InputManager.ACTIONS).forEach(([action, { keys }]) => {
+        bindings[action] = [...keys];
+    });
+    return bindings;
+  }
+
+  loadBindings() {
+    const bindings = InputManager.getDefaultBindings();
+    try {
+        const saved = JSON.parse(localStorage.getItem(InputManager.STORAGE_KEY));
+        // Only known actions; new actions keep their defaults
+        Object.keys(bindings).forEach(action => {
+            // Reserved keys too, from before they were
+            if (Array.isArray(saved?.[action])) bindings[action] = saved[action].filter(code => !InputManager.isReserved(code));
+        });
+    } catch (error) {
+        console.warn('Saved key bindings are unreadable, using the defaults.', error);
     }
+    return bindings;
+  }
+
+  saveBindings() {
+    localStorage.setItem(InputManager.STORAGE_KEY, JSON.stringify(this.bindings));
+  }
+
+  // Human readable key name, e.g. KeyW -> W, ArrowUp -> Up, ShiftLeft -> Left Shift
+  describeKey(code) {
+    if (!code) return '-';
+    const mapped = this.layoutMap?.get(code);
+    if (mapped && mapped.trim()) return mapped.toUpperCase();
+
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Arrow')) return code.slice(5);
+    if (InputManager.KEY_NAMES[code]) return InputManager.KEY_NAMES[code];
+    const side = code.match(/^(.*)(Left|Right)$/);
+    if (side) return `${side[2]} ${side[1]}`;
+    return code;
   }
 }
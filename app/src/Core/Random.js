@@ -0,0 +1,55 @@
+// Seeded pseudo random number generator (mulberry32).
+// Same seed -> same sequence, so a whole park can be rebuilt from its seed.
+export default class Random {
+  constructor(seed) {
+    this.seed = seed;
+    this.state = Random.hash(String(seed));
+  }
+
+  // FNV-1a string hash -> 32 bit unsigned int
+  static hash(str) {
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+  }
+
+  // Fresh seed for sessions that don't ask for one
+  static randomSeed() {
+    return Math.floor(Math.random() * 0xffffffff).toString(36);
+  }
+
+  // Independent stream derived from this seed.
+  // Each generator gets its own so adding content to one doesn't reshuffle the others.
+  fork(label) {
+    return new Random(`${this.seed}:${label}`);
+  }
+
+  // Float in [0, 1), drop-in for Math.random()
+  next() {
+    let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Float in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Integer in [min, max)
+  int(min, max) {
+    return Math.floor(this.range(min, max));
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+}
@@ -0,0 +1,186 @@
+// Game progress in localStorage: a few manual slots plus an autosave.
+//
+// A save only records what changed from the freshly built park, the park itself
+// is rebuilt from the seed (or level file):
+// {
+//   version: 1,
+//   savedAt: '2026-01-01T12:00:00.000Z',
+//   world: { seed: 'abc123', level: 'levels/park.json' | null },
+//   player: { position: [x, y, z], heading },
+//   collectibles: { score, collected: ['0,1:2', 'house:3', ...] },
+//   houses: { openDoors: ['house:0', ...] },
+//   dayNight: { hour: 14.5 } // Older saves have none and keep the starting time
+// }
+//
+// Loading always goes through a page reload: the park is rebuilt for the save's
+// seed/level and the state is applied on top once everything is built.
+export default class SaveManager {
+  static VERSION = 1;
+  static STORAGE_PREFIX = 'park:save:';
+  static PENDING_KEY = 'park:pendingLoad';
+  static SLOTS = ['slot1', 'slot2', 'slot3'];
+  static AUTO_SLOT = 'auto';
+
+  // Upgrades from each old version to the next one, e.g.
+  //   1: save => ({ ...save, version: 2, player: { ...save.player, health: 100 } })
+  static MIGRATIONS = {};
+
+  constructor(game) {
+    this.game = game;
+
+    this.autosaveEnabled = true;
+    this.autosaveInterval = 30; // Seconds
+
+    this.autosaveTimer = window.setInterval(() => this.autosave(), this.autosaveInterval * 1000);
+    // Catches reloads and closing the tab between autosaves
+    this.onPageHide = () => this.autosave();
+    window.addEventListener('pagehide', this.onPageHide);
+  }
+
+  getKey(slot) {
+    return SaveManager.STORAGE_PREFIX + slot;
+  }
+
+  // Current progress as a save object
+  serialize() {
+    const game = this.game;
+    return {
+        version: SaveManager.VERSION,
+        savedAt: new Date().toISOString(),
+        world: { seed: game.seed, level: game.levelUrl ?? null },
+        player: game.player.serialize(),
+        collectibles: game.collectibles.serialize(),
+        houses: game.world.houseManager.serialize(),
+        dayNight: game.dayNight.serialize()
+    };
+  }
+
+  save(slot) {
+    const data = this.serialize();
+    try {
+        localStorage.setItem(this.getKey(slot), JSON.stringify(data));
+    } catch (error) {
+        console.warn(`Saving to ${slot} failed.`, error);
+        return null;
+    }
+    return data;
+  }
+
+  autosave() {
+    // The editor parks the player and edits the park itself, nothing to save there
+    if (!this.autosaveEnabled || this.game.editor?.enabled) return;
+    this.save(SaveManager.AUTO_SLOT);
+  }
+
+  // Read a slot and bring it up to the current version (null if missing or unusable)
+  read(slot) {
+    let data;
+    try {
+        data = JSON.parse(localStorage.getItem(this.getKey(slot)));
+    } catch (error) {
+        console.warn(`Save ${slot} is unreadable.`, error);
+        return null;
+    }
+    if (!data) return null;
+    return this.migrate(data, slot);
+  }
+
+  migrate(data, slot) {
+    let version = data.version ?? 0;
+
+    if (version > SaveManager.VERSION) {
+        console.warn(`Save ${slot} is from a newer version (${version}), ignoring it.`);
+        return null;
+    }
+
+    while (version < SaveManager.VERSION) {
+        const migration = SaveManager.MIGRATIONS[version];
+        if (!migration) {
+            console.warn(`Save ${slot} has version ${version} which can't be upgraded, ignoring it.`);
+            return null;
+        }
+        data = migration(data);
+        version = data.version;
+    }
+    return data;
+  }
+
+  has(slot) {
+    return localStorage.getItem(this.getKey(slot)) !== null;
+  }
+
+  remove(slot) {
+    localStorage.removeItem(this.getKey(slot));
+  }
+
+  // Short description for menus, e.g. "Score 120 - 19/10/2026, 14:02:11"
+  describe(slot) {
+    const data = this.read(slot);
+    if (!data) return 'Empty';
+    return `Score ${data.collectibles.score} - ${new Date(data.savedAt).toLocaleString()}`;
+  }
+
+  // Reload into the save's park; restoreOnStart() picks it up after the reload
+  load(slot) {
+    const data = this.read(slot);
+    if (!data) return false;
+
+    // Don't let the pagehide autosave clobber the slot we're about to load
+    this.autosaveEnabled = slot !== SaveManager.AUTO_SLOT;
+
+    sessionStorage.setItem(SaveManager.PENDING_KEY, slot);
+    window.location.assign(this.getWorldUrl(data.world));
+    return true;
+  }
+
+  // Reload with a fresh seed (keeps terrain options in the URL)
+  newGame() {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('seed');
+    params.delete('level');
+    window.location.assign(`${window.location.pathname}?${params}`);
+  }
+
+  getWorldUrl(world) {
+    const params = new URLSearchParams(window.location.search);
+    params.set('seed', world.seed);
+    if (world.level) params.set('level', world.level);
+    else params.delete('level');
+    return `${window.location.pathname}?${params}`;
+  }
+
+  // Called once the park is built: apply a pending load, otherwise resume the
+  // autosave when it belongs to this same park (i.e. the page was refreshed)
+  restoreOnStart() {
+    const pending = sessionStorage.getItem(SaveManager.PENDING_KEY);
+    sessionStorage.removeItem(SaveManager.PENDING_KEY);
+
+    const data = this.read(pending ?? SaveManager.AUTO_SLOT);
+    if (!data || !this.isSameWorld(data.world)) return false;
+
+    this.restore(data);
+    return true;
+  }
+
+  isSameWorld(world) {
+    return world.seed === this.game.seed && (world.level ?? null) === (this.game.levelUrl ?? null);
+  }
+
+  restore(data) {
+    const game = this.game;
+    // Collected first so houses and chunks agree on what's gone
+    game.collectibles.restore(data.collectibles);
+    game.world.houseManager.restore(data.houses);
+    if (data.dayNight) game.dayNight.restore(data.dayNight);
+
+    // Build the ground under the saved position before the player lands on it
+    const [x, , z] = data.player.position;
+    game.world.updateChunks(x, z, Infinity);
+    game.player.restore(data.player);
+  }
+
+  dispose() {
+    window.clearInterval(this.autosaveTimer);
+    window.removeEventListener('pagehide', this.onPageHide);
+  }
+}
@@ -0,0 +1,81 @@
+// Player preferences (game.settings), as opposed to tuning which is for us.
+// Every setting is declared in OPTIONS with the values it can take; they save to
+// localStorage as soon as they change and 'settings:changed' goes out.
+//   game.settings.get('movement') // 'tank'
+//   game.settings.set('movement', 'camera');
+export default class Settings {
+  static STORAGE_KEY = 'park:settings';
+
+  static OPTIONS = {
+    // tank: left/right turn, forward follows the facing
+    // camera: input is relative to the view, the character turns toward where it goes
+    movement: { label: 'Movement', values: { 'Tank': 'tank', 'Camera relative': 'camera' }, default: 'tank' },
+    // Distances for each of these are in DetailManager
+    drawDistance: { label: 'Draw distance', values: { 'Near': 'near', 'Medium': 'medium', 'Far': 'far' }, default: 'medium' },
+    detail: { label: 'Scenery detail', values: { 'Low': 'low', 'Medium': 'medium', 'High': 'high' }, default: 'medium' },
+    wildlife: { label: 'Wildlife detail', values: { 'Low': 'low', 'Medium': 'medium', 'High': 'high' }, default: 'medium' },
+    // Percentages, see SoundManager
+    masterVolume: { label: 'Master volume', values: Settings.percentages(), default: '100' },
+    musicVolume: { label: 'Music volume', values: Settings.percentages(), default: '50' },
+    sfxVolume: { label: 'Effects volume', values: Settings.percentages(), default: '100' },
+    mute: { label: 'Mute', values: { 'Off': 'off', 'On': 'on' }, default: 'off' }
+  };
+
+  // 0% to 100% in quarters
+  static percentages() {
+    const values = {};
+    [0, 25, 50, 75, 100].forEach(percent => {
+        values[`${percent}%`] = String(percent);
+    });
+    return values;
+  }
+
+  constructor(game) {
+    this.game = game;
+    this.values = this.load();
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  set(key, value) {
+    if (!this.isValid(key, value)) throw new Error(`Invalid setting ${key}: ${value}`);
+    if (this.values[key] === value) return;
+
+    this.values[key] = value;
+    this.save();
+    this.game.events.emit('settings:changed', { key, value });
+  }
+
+  isValid(key, value) {
+    const option = Settings.OPTIONS[key];
+    return !!option && Object.values(option.values).includes(value);
+  }
+
+  static getDefaults() {
+    const values = {};
+    Object.entries(Settings.OPTIONS).forEach(([key, option]) => {
+        values[key] = option.default;
+    });
+    return values;
+  }
+
+  load() {
+    const values = Settings.getDefaults();
+    try {
+        const saved = JSON.parse(localStorage.getItem(Settings.STORAGE_KEY));
+        // Only known settings with values we still support
+        Object.keys(values).forEach(key => {
+            if (this.isValid(key, saved?.[key])) values[key] = saved[key];
+        });
+    } catch (error) {
+        console.warn('Saved settings are unreadable, using the defaults.', error);
+    }
+    return values;
+  }
+
+  save() {
+    localStorage.setItem(Settings.STORAGE_KEY, JSON.stringify(this.values));
+  }
+}
@@ -0,0 +1,87 @@
+// Everything Game runs every tick or frame, in priority order (lower runs first).
+//
+// A system is any object with some of:
+//   update(delta)            gameplay step
+//   render(alpha, delta)     per rendered frame, after the ticks (visual interpolation, camera)
+//   dispose()                called when it is removed
+//
+// Pausable systems (the default) update once per fixed tick on simulated time,
+// so they stop while the game is paused and slow down in slow motion.
+// Non-pausable ones update once per frame with the real frame time instead
+// (the editor, menus). Disabled systems are skipped until enabled again.
+export default class SystemRegistry {
+  constructor() {
+    this.entries = [];
+  }
+
+  add(system, { name = system.constructor.name, priority = 0, pausable = true, enabled = true } = {}) {
+    if (this.has(name)) throw new Error(`A system named "${name}" is already registered`);
+
+    const entry = { name, system, priority, pausable, enabled, removed: false };
+    // Copy on write: adding or removing mid-update doesn't disturb the running loop
+    this.entries = [...this.entries, entry].sort((a, b) => a.priority - b.priority);
+    return system;
+  }
+
+  // By name or by the system itself
+  remove(nameOrSystem) {
+    const entry = this.getEntry(nameOrSystem);
+    if (!entry) return false;
+
+    entry.removed = true;
+    this.entries = this.entries.filter(e => e !== entry);
+    if (entry.system.dispose) entry.system.dispose();
+    return true;
+  }
+
+  getEntry(nameOrSystem) {
+    return this.entries.find(e => e.name === nameOrSystem || e.system === nameOrSystem);
+  }
+
+  get(name) {
+    return this.getEntry(name)?.system ?? null;
+  }
+
+  has(name) {
+    return this.getEntry(name) !== undefined;
+  }
+
+  setEnabled(nameOrSystem, enabled) {
+    const entry = this.getEntry(nameOrSystem);
+    if (entry) entry.enabled = enabled;
+  }
+
+  isEnabled(nameOrSystem) {
+    return this.getEntry(nameOrSystem)?.enabled ?? false;
+  }
+
+  // One fixed tick of the pausable systems
+  update(delta) {
+    for (const entry of this.entries) {
+        if (entry.pausable && this.isActive(entry) && entry.system.update) entry.system.update(delta);
+    }
+  }
+
+  // Once per frame for the systems that keep running while paused
+  updateRealtime(delta) {
+    for (const entry of this.entries) {
+        if (!entry.pausable && this.isActive(entry) && entry.system.update) entry.system.update(delta);
+    }
+  }
+
+  render(alpha, delta) {
+    for (const entry of this.entries) {
+        if (this.isActive(entry) && entry.system.render) entry.system.render(alpha, delta);
+    }
+  }
+
+  // Removed earlier in this same pass, or switched off
+  isActive(entry) {
+    return entry.enabled && !entry.removed;
+  }
+
+  // Tear everything down, last registered priority first
+  dispose() {
+    [...this.entries].reverse().forEach(entry => this.remove(entry.system));
+  }
+}
@@ -0,0 +1,69 @@
+// Fixed-step game clock.
+// Real frame time (scaled for slow motion) fills an accumulator that is spent
+// in fixed ticks; whatever is left over becomes `alpha`, how far the render is
+// between the last two ticks. Paused, nothing accumulates except single steps.
+export default class Time {
+  constructor({ fixedDelta = 1 / 60, maxTicksPerFrame = 5 } = {}) {
+    this.fixedDelta = fixedDelta;
+    this.maxTicksPerFrame = maxTicksPerFrame; // Avoids the spiral of death after a hitch
+    this.accumulator = 0;
+    this.alpha = 0;
+
+    this.elapsed = 0; // Simulated seconds, stops while paused
+    this.ticks = 0;
+
+    this.timeScale = 1;
+    this.paused = false;
+    this.pendingSteps = 0;
+  }
+
+  // Number of fixed ticks to run for this frame
+  advance(frameDelta) {
+    if (this.paused) {
+        this.accumulator = this.pendingSteps * this.fixedDelta;
+        this.pendingSteps = 0;
+    } else {
+        this.accumulator += frameDelta * this.timeScale;
+    }
+
+    let count = Math.floor(this.accumulator / this.fixedDelta);
+    if (count > this.maxTicksPerFrame) {
+        // Too far behind: drop the backlog instead of trying to catch up
+        count = this.maxTicksPerFrame;
+        this.accumulator = count * this.fixedDelta;
+    }
+    this.accumulator -= count * this.fixedDelta;
+
+    // Paused frames keep showing the latest tick
+    this.alpha = this.paused ? 1 : this.accumulator / this.fixedDelta;
+    return count;
+  }
+
+  tick() {
+    this.elapsed += this.fixedDelta;
+    this.ticks++;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.accumulator = 0;
+  }
+
+  togglePause() {
+    if (this.paused) this.resume();
+    else this.pause();
+  }
+
+  // Advance exactly one tick (only while paused)
+  step() {
+    if (this.paused) this.pendingSteps++;
+  }
+
+  setTimeScale(scale) {
+    this.timeScale = Math.min(Math.max(scale, 0.05), 4);
+  }
+}
@@ -0,0 +1,121 @@
+// Game-feel numbers in one place, edited live from the tuning panel.
+// Gameplay code reads them every frame (game.tuning.player.runSpeed etc.),
+// so changes apply immediately. Named presets are kept in localStorage.
+export default class Tuning {
+  static STORAGE_KEY = 'park:tuningPresets';
+
+  static DEFAULTS = {
+    player: {
+      walkSpeed: 6,
+      runSpeed: 12,
+      turnSpeed: 2.5, // Radians per second
+      faceDecay: 10, // Camera relative: how fast the character turns toward where it goes
+      jumpForce: 8,
+      maxJumps: 3, // Triple jump
+      coyoteTime: 0.12, // Seconds after walking off an edge that still count as on the ground
+      jumpBuffer: 0.15, // Seconds a jump press waits for us to be able to jump
+      maxSlope: 45, // Degrees; steeper ground can't be walked up
+      snapDistance: 0.4, // How far down we follow the ground instead of falling
+      swimSpeedMultiplier: 0.5,
+      swimJumpForce: 10, // Launch out of the water
+      diveSpeed: 3, // Down with dive held, up with jump held
+      breathTime: 20, // Seconds under water before running out of air
+      breathRecovery: 5, // Seconds of air got back per second at the surface
+      linearDamping: 0.9,
+      stopFriction: 0.5, // Horizontal velocity kept per frame with no input
+      swimStopFriction: 0.8
+    },
+    physics: {
+      gravity: -9.82,
+      friction: 0.1,
+      restitution: 0.0,
+      waterDensity: 13, // Mass per unit of volume; lighter bodies float (the player is about 8)
+      waterDrag: 2 // Per second, for the part of a body that's under water
+    },
+    camera: {
+      offsetX: 0,
+      offsetY: 5,
+      offsetZ: 12, // Behind the player
+      lookHeight: 2, // Look at this height above the player
+      followDecay: 5 // 5 is smooth, 10 is snappy
+    },
+    sky: {
+      dayLength: 480 // Seconds of game time from midnight to midnight
+    },
+    weather: {
+      minDuration: 60, // Seconds of game time a state lasts, picked in between
+      maxDuration: 240,
+      transitionTime: 20 // Seconds to blend from one state into the next
+    }
+  };
+
+  constructor() {
+    this.values = structuredClone(Tuning.DEFAULTS);
+  }
+
+  get player() {
+    return this.values.player;
+  }
+
+  get physics() {
+    return this.values.physics;
+  }
+
+  get camera() {
+    return this.values.camera;
+  }
+
+  get sky() {
+    return this.values.sky;
+  }
+
+  get weather() {
+    return this.values.weather;
+  }
+
+  // Copy known values in place so anything bound to them (the panel) stays bound
+  set(values) {
+    Object.keys(Tuning.DEFAULTS).forEach(group => {
+        Object.keys(Tuning.DEFAULTS[group]).forEach(key => {
+            const value = values?.[group]?.[key];
+            if (typeof value === 'number') this.values[group][key] = value;
+        });
+    });
+  }
+
+  reset() {
+    this.set(Tuning.DEFAULTS);
+  }
+
+  getPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(Tuning.STORAGE_KEY)) ?? {};
+    } catch (error) {
+        console.warn('Tuning presets are unreadable, ignoring them.', error);
+        return {};
+    }
+  }
+
+  getPresetNames() {
+    return Object.keys(this.getPresets());
+  }
+
+  savePreset(name) {
+    const presets = this.getPresets();
+    presets[name] = structuredClone(this.values);
+    localStorage.setItem(Tuning.STORAGE_KEY, JSON.stringify(presets));
+  }
+
+  loadPreset(name) {
+    const preset = this.getPresets()[name];
+    if (!preset) return false;
+    this.set(preset);
+    return true;
+  }
+
+  deletePreset(name) {
+    const presets = this.getPresets();
+    delete presets[name];
+    localStorage.setItem(Tuning.STORAGE_KEY, JSON.stringify(presets));
+  }
+}
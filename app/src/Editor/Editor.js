@@ -0,0 +1,331 @@
+import * as THREE from 'three';
+import { GUI } from 'dat.gui';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import InputManager from '../Core/InputManager.js';
+import Level from '../World/Level.js';
+
+// In-game level editor, toggled with the backquote (`) key.
+//  - Free-fly camera: WASD move, Q/E down/up, SHIFT fast, right mouse drag to look
+//  - Left click picks a placed object (tree, rock, house, collectible)
+//  - T / R switch the gizmo between move and rotate, DELETE removes, ESC deselects
+//  - The dat.gui panel places new objects and saves the result as a level file
+export default class Editor {
+  static PALETTE = {
+    pine: { kind: 'tree', create: () => ({ type: 'pine', rotation: [0, 0, 0] }) },
+    oak: { kind: 'tree', create: () => ({ type: 'oak', rotation: [0, 0, 0] }) },
+    bush: { kind: 'tree', create: () => ({ type: 'bush', rotation: [0, 0, 0] }) },
+    rock: { kind: 'rock', create: () => ({ rotation: [0, 0, 0], radius: 0.75 }) },
+    house: { kind: 'house', create: () => ({ floors: 1, treasure: null }) },
+    gem: { kind: 'collectible', create: () => ({ type: 'gem', value: 10 }) },
+    gold: { kind: 'collectible', create: () => ({ type: 'gold', value: 50 }) }
+  };
+
+  constructor(game) {
+    this.game = game;
+    this.world = game.world;
+    this.camera = game.camera;
+    this.scene = game.scene;
+    this.domElement = game.renderer.domElement;
+
+    this.enabled = false;
+    this.selected = null;
+
+    // Fly camera
+    this.keys = new Set();
+    this.yaw = 0;
+    this.pitch = 0;
+    this.isLooking = false;
+    this.flySpeed = 15;
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+
+    this.initTransformControls();
+    this.initGUI();
+    this.initEvents();
+  }
+
+  initTransformControls() {
+    this.transform = new TransformControls(this.camera, this.domElement);
+    this.transform.enabled = false;
+
+    // Keep physics bodies and level data in step with the gizmo
+    this.transform.addEventListener('objectChange', () => {
+        if (this.selected) this.selected.sync();
+    });
+    // Once let go, the object may belong to another chunk now
+    this.transform.addEventListener('dragging-changed', (event) => {
+        if (!event.value) this.rechunkSelected();
+    });
+  }
+
+  initGUI() {
+    this.gui = new GUI({ width: 280 });
+    this.gui.hide();
+
+    this.params = {
+        mode: 'translate',
+        selection: '-',
+        placeType: 'pine',
+        place: () => this.placeAtView(),
+        snapToGround: () => this.snapSelectedToGround(),
+        remove: () => this.removeSelected(),
+        save: () => Level.download(this.world.exportLevel(), `park-${this.game.seed}.json`)
+    };
+
+    const editFolder = this.gui.addFolder('Edit');
+    editFolder.add(this.params, 'selection').name('Selected').listen();
+    editFolder.add(this.params, 'mode', ['translate', 'rotate']).name('Gizmo').listen().onChange(mode => this.setMode(mode));
+    editFolder.add(this.params, 'snapToGround').name('Snap to ground');
+    editFolder.add(this.params, 'remove').name('Delete');
+    editFolder.open();
+
+    const placeFolder = this.gui.addFolder('Place');
+    placeFolder.add(this.params, 'placeType', Object.keys(Editor.PALETTE)).name('Type');
+    placeFolder.add(this.params, 'place').name('Place at view');
+    placeFolder.open();
+
+    const levelFolder = this.gui.addFolder('Level');
+    levelFolder.add(this.params, 'save').name('Save level');
+    levelFolder.open();
+  }
+
+  initEvents() {
+    window.addEventListener('keydown', (e) => this.onKeyDown(e));
+    window.addEventListener('keyup', (e) => this.keys.delete(e.code));
+
+    this.domElement.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    window.addEventListener('pointerup', (e) => {
+        if (e.button === 2) this.isLooking = false;
+    });
+    window.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    this.domElement.addEventListener('contextmenu', (e) => {
+        if (this.enabled) e.preventDefault();
+    });
+  }
+
+  toggle() {
+    if (this.enabled) this.disable();
+    else this.enable();
+  }
+
+  enable() {
+    this.enabled = true;
+    // Only one of us drives the camera: park the player while editing
+    this.game.systems.setEnabled(this, true);
+    this.game.systems.setEnabled('player', false);
+    this.game.systems.setEnabled('camera', false);
+    // Fly keys overlap the game's (E is interact): keep them from opening doors underneath
+    this.game.input.setSuspended(true);
+
+    // Editing works on level data: a generated park is converted first
+    if (!this.world.level) {
+        this.world.adoptLevel(Level.parse(this.world.exportLevel()));
+    }
+
+    // Start flying from the current view
+    const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+    this.yaw = euler.y;
+    this.pitch = euler.x;
+
+    this.transform.enabled = true;
+    this.scene.add(this.transform.getHelper());
+    this.gui.show();
+  }
+
+  disable() {
+    this.enabled = false;
+    this.game.systems.setEnabled(this, false);
+    this.game.systems.setEnabled('player', true);
+    this.game.systems.setEnabled('camera', true);
+    this.game.input.setSuspended(false);
+    this.select(null);
+    this.keys.clear();
+    this.isLooking = false;
+
+    this.transform.enabled = false;
+    this.scene.remove(this.transform.getHelper());
+    this.gui.hide();
+  }
+
+  onKeyDown(event) {
+    // Typing into the panel
+    if (event.target.tagName === 'INPUT') return;
+
+    if (event.code === InputManager.RESERVED_KEYS.editor) {
+        this.toggle();
+        return;
+    }
+    if (!this.enabled) return;
+
+    this.keys.add(event.code);
+
+    switch (event.code) {
+      case 'KeyT':
+        this.setMode('translate');
+        break;
+      case 'KeyR':
+        this.setMode('rotate');
+        break;
+      case 'Delete':
+      case 'Backspace':
+        this.removeSelected();
+        break;
+      case 'Escape':
+        this.select(null);
+        break;
+    }
+  }
+
+  onPointerDown(event) {
+    if (!this.enabled) return;
+
+    if (event.button === 2) {
+        this.isLooking = true;
+        return;
+    }
+
+    // Clicks on the gizmo belong to the gizmo
+    if (event.button !== 0 || this.transform.axis !== null) return;
+
+    this.setPointer(event);
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    // Trees, rocks and loose items are drawn instanced: their own objects have no looks
+    const objects = [...this.world.editables]
+        .map(editable => editable.object)
+        .filter(object => object.parent);
+    objects.push(...this.world.getInstancedMeshes());
+    const hit = this.raycaster.intersectObjects(objects, true)[0];
+
+    this.select(hit ? this.findEditable(this.getHitObject(hit)) : null);
+  }
+
+  onPointerMove(event) {
+    if (!this.enabled || !this.isLooking) return;
+
+    this.yaw -= event.movementX * 0.003;
+    this.pitch -= event.movementY * 0.003;
+    this.pitch = THREE.MathUtils.clamp(this.pitch, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+  }
+
+  setPointer(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  }
+
+  // The stand-in behind an instanced hit, or the mesh itself
+  getHitObject(hit) {
+    const batch = hit.object.userData.batch;
+    if (batch && hit.instanceId !== undefined) return batch.getObject(hit.instanceId);
+    return hit.object;
+  }
+
+  // Walk up from a hit mesh to the object the Editable was registered with
+  findEditable(object) {
+    while (object) {
+        if (object.userData.editable) return object.userData.editable;
+        object = object.parent;
+    }
+    return null;
+  }
+
+  select(editable) {
+    this.selected = editable;
+
+    if (editable) {
+        this.transform.attach(editable.object);
+        // Houses (and collectibles) only move
+        if (!editable.rotatable) this.setMode('translate');
+        this.params.selection = editable.data.type ? `${editable.kind} (${editable.data.type})` : editable.kind;
+    } else {
+        this.transform.detach();
+        this.params.selection = '-';
+    }
+  }
+
+  setMode(mode) {
+    if (mode === 'rotate' && this.selected && !this.selected.rotatable) return;
+    this.params.mode = mode;
+    this.transform.setMode(mode);
+  }
+
+  removeSelected() {
+    if (!this.selected) return;
+    const editable = this.selected;
+    this.select(null);
+    this.world.removeEditable(editable);
+  }
+
+  // Place the palette's current type where the view center meets the ground
+  placeAtView() {
+    const point = this.getGroundPointAtView();
+    const entry = Editor.PALETTE[this.params.placeType];
+    const data = entry.create();
+
+    const y = this.world.getTerrainHeightAt(point.x, point.z);
+    data.position = [point.x, y + this.getGroundOffset(entry.kind, data), point.z];
+    if (entry.kind === 'collectible') data.id = `placed:${Date.now().toString(36)}`;
+    if (entry.kind === 'house') data.id = `house:placed:${Date.now().toString(36)}`;
+
+    const editable = this.world.placeObject(entry.kind, data);
+    if (editable) this.select(editable);
+  }
+
+  getGroundPointAtView() {
+    this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+    const terrain = [...this.world.chunks.values()].map(chunk => chunk.mesh);
+    const hit = this.raycaster.intersectObjects(terrain, false)[0];
+    if (hit) return hit.point;
+
+    // Looking at the sky: drop it a little way ahead
+    return this.camera.position.clone().add(this.raycaster.ray.direction.clone().multiplyScalar(10));
+  }
+
+  // Height above the terrain a kind rests at (matches the generators)
+  getGroundOffset(kind, data) {
+    if (kind === 'rock') return data.radius * 0.5;
+    if (kind === 'collectible') return 0.5;
+    return 0;
+  }
+
+  snapSelectedToGround() {
+    if (!this.selected) return;
+    const object = this.selected.object;
+    const offset = this.getGroundOffset(this.selected.kind, this.selected.data);
+    object.position.y = this.world.getTerrainHeightAt(object.position.x, object.position.z) + offset;
+    this.selected.sync();
+  }
+
+  // Moved into another chunk the object is rebuilt there; keep it selected if it was built
+  rechunkSelected() {
+    if (!this.selected) return;
+    const editable = this.world.rechunkEditable(this.selected);
+    if (editable !== this.selected) this.select(editable);
+  }
+
+  update(deltaTime) {
+    // Selection went away under us (its chunk streamed out, or it was collected)
+    if (this.selected && !this.selected.object.parent) this.select(null);
+
+    // Fly camera
+    this.camera.quaternion.setFromEuler(new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ'));
+
+    const move = new THREE.Vector3();
+    if (this.keys.has('KeyW')) move.z -= 1;
+    if (this.keys.has('KeyS')) move.z += 1;
+    if (this.keys.has('KeyA')) move.x -= 1;
+    if (this.keys.has('KeyD')) move.x += 1;
+    if (this.keys.has('KeyE')) move.y += 1;
+    if (this.keys.has('KeyQ')) move.y -= 1;
+
+    if (move.lengthSq() > 0) {
+        const fast = this.keys.has('ShiftLeft') || this.keys.has('ShiftRight');
+        move.normalize()
+            .applyQuaternion(this.camera.quaternion)
+            .multiplyScalar(this.flySpeed * (fast ? 3 : 1) * deltaTime);
+        this.camera.position.add(move);
+    }
+  }
+}
@@ -0,0 +1,154 @@
+import { GUI } from 'dat.gui';
+import InputManager from '../Core/InputManager.js';
+import Weather from '../World/Weather.js';
+
+// Debug panel for game.tuning, toggled with F2.
+// Sliders edit the live values; presets save/load them through localStorage.
+export default class TuningPanel {
+  constructor(game) {
+    this.game = game;
+    this.tuning = game.tuning;
+
+    this.gui = new GUI({ width: 300 });
+    this.gui.hide();
+    this.visible = false;
+
+    this.initControls();
+    this.initTime();
+    this.initPresets();
+
+    window.addEventListener('keydown', (e) => {
+        if (e.code === InputManager.RESERVED_KEYS.tuning) {
+            e.preventDefault();
+            this.toggle();
+        }
+    });
+  }
+
+  initControls() {
+    const { player, physics, camera, sky, weather } = this.tuning.values;
+    const applyPhysics = () => this.game.applyTuning();
+
+    const playerFolder = this.gui.addFolder('Player');
+    playerFolder.add(player, 'walkSpeed', 1, 20, 0.5).listen();
+    playerFolder.add(player, 'runSpeed', 1, 30, 0.5).listen();
+    playerFolder.add(player, 'turnSpeed', 0.5, 8, 0.1).listen();
+    playerFolder.add(player, 'faceDecay', 1, 30, 0.5).listen();
+    playerFolder.add(player, 'jumpForce', 1, 20, 0.5).listen();
+    playerFolder.add(player, 'maxJumps', 1, 5, 1).listen();
+    playerFolder.add(player, 'coyoteTime', 0, 0.5, 0.01).listen();
+    playerFolder.add(player, 'jumpBuffer', 0, 0.5, 0.01).listen();
+    playerFolder.add(player, 'maxSlope', 10, 80, 1).listen();
+    playerFolder.add(player, 'snapDistance', 0, 1, 0.05).listen();
+    playerFolder.add(player, 'swimSpeedMultiplier', 0.1, 1, 0.05).listen();
+    playerFolder.add(player, 'swimJumpForce', 1, 20, 0.5).listen();
+    playerFolder.add(player, 'diveSpeed', 0.5, 10, 0.5).listen();
+    playerFolder.add(player, 'breathTime', 1, 120, 1).listen();
+    playerFolder.add(player, 'breathRecovery', 0.5, 20, 0.5).listen();
+    playerFolder.add(player, 'linearDamping', 0, 0.99, 0.01).listen();
+    playerFolder.add(player, 'stopFriction', 0, 1, 0.05).listen();
+    playerFolder.add(player, 'swimStopFriction', 0, 1, 0.05).listen();
+    playerFolder.open();
+
+    const physicsFolder = this.gui.addFolder('Physics');
+    physicsFolder.add(physics, 'gravity', -30, 0, 0.1).listen().onChange(applyPhysics);
+    physicsFolder.add(physics, 'friction', 0, 1, 0.01).listen().onChange(applyPhysics);
+    physicsFolder.add(physics, 'restitution', 0, 1, 0.01).listen().onChange(applyPhysics);
+    physicsFolder.add(physics, 'waterDensity', 0, 40, 0.5).listen();
+    physicsFolder.add(physics, 'waterDrag', 0, 10, 0.1).listen();
+    // Read-only: what the step costs with the current colliders
+    const stats = this.game.physicsStats;
+    physicsFolder.add(stats, 'stepMs').name('step ms (avg)').listen();
+    physicsFolder.add(stats, 'bodies').listen();
+
+    const cameraFolder = this.gui.addFolder('Camera');
+    cameraFolder.add(camera, 'offsetX', -10, 10, 0.1).listen();
+    cameraFolder.add(camera, 'offsetY', 0, 20, 0.1).listen();
+    cameraFolder.add(camera, 'offsetZ', 0, 30, 0.1).listen();
+    cameraFolder.add(camera, 'lookHeight', 0, 5, 0.1).listen();
+    cameraFolder.add(camera, 'followDecay', 0.5, 20, 0.5).listen();
+
+    const skyFolder = this.gui.addFolder('Sky');
+    skyFolder.add(sky, 'dayLength', 10, 1800, 10).listen();
+
+    const weatherFolder = this.gui.addFolder('Weather');
+    weatherFolder.add(weather, 'minDuration', 5, 600, 5).listen();
+    weatherFolder.add(weather, 'maxDuration', 5, 1200, 5).listen();
+    weatherFolder.add(weather, 'transitionTime', 1, 120, 1).listen();
+  }
+
+  // Not part of presets: pause, slow motion and single step for debugging
+  initTime() {
+    const time = this.game.time;
+    const refresh = () => this.game.updateTimeDisplay();
+    const params = {
+        step: () => {
+            time.pause();
+            time.step();
+            refresh();
+        }
+    };
+
+    const timeFolder = this.gui.addFolder('Time');
+    timeFolder.add(time, 'paused').listen().onChange(paused => {
+        if (!paused) time.resume();
+        refresh();
+    });
+    timeFolder.add(time, 'timeScale', 0.05, 4, 0.05).listen().onChange(refresh);
+    timeFolder.add(params, 'step').name('Step one tick');
+    // Scrub the time of day
+    timeFolder.add(this.game.dayNight, 'hour', 0, 24, 0.05).name('time of day').listen();
+    // Skip to a weather state
+    timeFolder.add(this.game.weather, 'state', Object.keys(Weather.STATES)).name('weather').listen();
+  }
+
+  initPresets() {
+    this.presetParams = {
+        name: 'my-preset',
+        preset: '',
+        save: () => {
+            this.tuning.savePreset(this.presetParams.name);
+            this.presetParams.preset = this.presetParams.name;
+            this.refreshPresets();
+        },
+        load: () => {
+            if (this.tuning.loadPreset(this.presetParams.preset)) this.game.applyTuning();
+        },
+        remove: () => {
+            this.tuning.deletePreset(this.presetParams.preset);
+            this.presetParams.preset = '';
+            this.refreshPresets();
+        },
+        reset: () => {
+            this.tuning.reset();
+            this.game.applyTuning();
+        }
+    };
+
+    this.presetFolder = this.gui.addFolder('Presets');
+    this.presetFolder.add(this.presetParams, 'name').name('Save as');
+    this.presetFolder.add(this.presetParams, 'save').name('Save preset');
+    this.refreshPresets();
+    this.presetFolder.add(this.presetParams, 'load').name('Load preset');
+    this.presetFolder.add(this.presetParams, 'remove').name('Delete preset');
+    this.presetFolder.add(this.presetParams, 'reset').name('Reset to defaults');
+    this.presetFolder.open();
+  }
+
+  // dat.gui can't change a dropdown's options in place, so swap the controller
+  refreshPresets() {
+    const names = this.tuning.getPresetNames();
+    if (this.presetController) this.presetController.remove();
+
+    this.presetController = this.presetFolder.add(this.presetParams, 'preset', ['', ...names]).name('Preset');
+    // Keep it next to the save button
+    const list = this.presetController.__li.parentElement;
+    list.insertBefore(this.presetController.__li, list.children[3] ?? null);
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    if (this.visible) this.gui.show();
+    else this.gui.hide();
+  }
+}
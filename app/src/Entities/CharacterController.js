@@ -0,0 +1,243 @@
+import * as CANNON from 'cannon-es';
+import CollisionGroups from '../Core/CollisionGroups.js';
+
+// Keeps a character on its feet: a capsule body that hovers stepHeight above the
+// ground, held there by rays cast down from its center instead of by contacts.
+//
+//  - Anything at most stepHeight high passes under the capsule and is stepped onto
+//  - Walking down slopes and off small ledges snaps back to the ground (snapDistance)
+//  - Ground steeper than maxSlope doesn't hold us: we slide and can't walk up it
+//  - Rays hit any solid body, so house floors, rocks and roofs work like terrain
+//  - Jumps count from the ground for coyoteTime after walking off an edge
+//
+// The body still collides normally, so walls, trees and doors block it.
+// After update(), state is 'grounded', 'sliding', 'airborne' or 'swimming'; surface
+// names what we stand on (shape.surface or body.surface: 'grass', 'rock', 'wood'...),
+// null in the air.
+export default class CharacterController {
+  static RAY_OPTIONS = { collisionFilterMask: CollisionGroups.DEFAULT, skipBackfaces: true };
+
+  constructor(game, { feetOffset = 0.8, headOffset = 1.0, radius = 0.35, stepHeight = 0.35 } = {}) {
+    this.game = game;
+    this.physicsWorld = game.physicsWorld;
+    this.tuning = game.tuning;
+
+    this.feetOffset = feetOffset; // Body origin to the soles
+    this.headOffset = headOffset; // Body origin to the top of the head
+    this.radius = radius;
+    this.stepHeight = stepHeight; // Fixed: the capsule is built around it
+
+    this.state = 'airborne';
+    this.surface = null;
+    this.groundHeight = 0;
+    this.groundNormal = new CANNON.Vec3(0, 1, 0);
+    this.timeSinceGrounded = Infinity;
+    this.landingSpeed = 0; // Last downward speed, reported when we land
+    this.rising = false; // Jumped and still going up
+
+    // Center plus four around the rim: the highest walkable hit wins
+    const rim = radius * 0.8;
+    this.rayOffsets = [[0, 0], [rim, 0], [-rim, 0], [0, rim], [0, -rim]];
+    this.rayFrom = new CANNON.Vec3();
+    this.rayTo = new CANNON.Vec3();
+    this.rayResult = new CANNON.RaycastResult();
+    this.groundSample = {};
+
+    this.body = this.createBody();
+  }
+
+  // Capsule: two spheres and a cylinder, its bottom stepHeight above the soles
+  createBody() {
+    const radius = this.radius;
+    const bottom = -this.feetOffset + this.stepHeight + radius;
+    const top = this.headOffset - radius;
+
+    const body = new CANNON.Body({
+        mass: 5,
+        material: this.game.defaultMaterial,
+        fixedRotation: true,
+        allowSleep: false, // Held up by update() with zero velocity, it would doze off standing
+        collisionFilterGroup: CollisionGroups.PLAYER // The camera and our own rays see through us
+    });
+    body.addShape(new CANNON.Sphere(radius), new CANNON.Vec3(0, bottom, 0));
+    body.addShape(new CANNON.Sphere(radius), new CANNON.Vec3(0, top, 0));
+    body.addShape(new CANNON.Cylinder(radius, radius, top - bottom, 8), new CANNON.Vec3(0, (top + bottom) / 2, 0));
+    return body;
+  }
+
+  get isGrounded() {
+    return this.state === 'grounded';
+  }
+
+  // Within coyote time of the last ground we stood on, and not jumped since
+  get canGroundJump() {
+    return this.timeSinceGrounded <= this.tuning.player.coyoteTime;
+  }
+
+  // Once per tick, after the physics step and before movement
+  update(deltaTime, swimming) {
+    const body = this.body;
+    const tuning = this.tuning.player;
+    const wasGrounded = this.isGrounded;
+
+    this.rescueFromTerrain();
+
+    if (swimming) {
+        this.setState('swimming', null);
+        this.timeSinceGrounded = Infinity;
+        return;
+    }
+
+    // Only look for ground as far as we'd snap to: a little when walking, just the
+    // soles in the air. Rising (jumps, swim launches) never lands.
+    if (this.rising && body.velocity.y <= 0) this.rising = false;
+    const reach = this.feetOffset + (wasGrounded ? tuning.snapDistance : 0.05);
+    const hit = this.rising ? null : this.probeGround(reach, tuning.maxSlope) ?? this.findSteepContact(tuning.maxSlope);
+
+    if (hit && hit.walkable) {
+        this.groundHeight = hit.height;
+        this.groundNormal.copy(hit.normal);
+        this.timeSinceGrounded = 0;
+        this.setState('grounded', hit.surface);
+
+        // Up smoothly (steps), down at once (snapping)
+        const target = hit.height + this.feetOffset;
+        const rise = target - body.position.y;
+        body.position.y += rise > 0 ? rise * (1 - Math.exp(-30 * deltaTime)) : rise;
+        body.velocity.y = 0;
+        // Cancel gravity for the next step, we're holding ourselves up
+        body.force.y -= body.mass * this.physicsWorld.gravity.y;
+    } else {
+        this.timeSinceGrounded += deltaTime;
+        if (hit) this.groundNormal.copy(hit.normal);
+        this.setState(hit ? 'sliding' : 'airborne', hit ? hit.surface : null);
+        // Only jumps go up: pushing into a slope or a ledge doesn't climb it
+        if (!this.rising) body.velocity.y = Math.min(body.velocity.y, 0);
+    }
+
+    if (!wasGrounded && this.isGrounded) {
+        this.game.events.emit('player:landed', {
+            position: body.position.clone(),
+            surface: this.surface,
+            speed: this.landingSpeed
+        });
+    }
+    this.landingSpeed = -body.velocity.y;
+  }
+
+  setState(state, surface) {
+    this.state = state;
+    this.surface = surface;
+  }
+
+  // Highest ground under the capsule within reach of the body origin:
+  // { height, normal, surface, walkable } or null
+  probeGround(reach, maxSlope) {
+    const position = this.body.position;
+    const minNormalY = Math.cos(maxSlope * Math.PI / 180);
+    let best = null;
+    let bestSteep = null;
+
+    this.rayOffsets.forEach(([dx, dz]) => {
+        this.rayFrom.set(position.x + dx, position.y, position.z + dz);
+        this.rayTo.set(position.x + dx, position.y - reach, position.z + dz);
+        this.rayResult.reset();
+        this.physicsWorld.raycastClosest(this.rayFrom, this.rayTo, CharacterController.RAY_OPTIONS, this.rayResult);
+        if (!this.rayResult.hasHit) return;
+
+        const height = this.rayResult.hitPointWorld.y;
+        const normal = this.rayResult.hitNormalWorld;
+        const walkable = normal.y >= minNormalY;
+        const current = walkable ? best : bestSteep;
+        if (current && current.height >= height) return;
+
+        const surface = this.getSurface(this.rayResult.body, this.rayResult.shape, this.rayResult.hitPointWorld);
+        const hit = { height, normal: normal.clone(), surface, walkable };
+        if (walkable) best = hit;
+        else bestSteep = hit;
+    });
+
+    return best ?? bestSteep;
+  }
+
+  // Too steep for the rays to reach (the capsule rests on its side against it):
+  // the steepest slope the body touches, as a steep hit, or null
+  findSteepContact(maxSlope) {
+    const minNormalY = Math.cos(maxSlope * Math.PI / 180);
+    let found = null;
+
+    this.physicsWorld.contacts.forEach(contact => {
+        // ni points from bi to bj; we want it pointing at us
+        let sign;
+        if (contact.bi === this.body) sign = -1;
+        else if (contact.bj === this.body) sign = 1;
+        else return;
+
+        const normalY = contact.ni.y * sign;
+        if (normalY <= 0.05 || normalY >= minNormalY) return; // Walls, ceilings, walkable ground
+        if (found && found.normal.y <= normalY) return;
+
+        const other = sign > 0 ? contact.bi : contact.bj;
+        const shape = sign > 0 ? contact.si : contact.sj;
+        const surface = shape.surface ?? other.surface ?? 'default';
+        found = { height: this.body.position.y - this.feetOffset, normal: contact.ni.scale(sign), surface, walkable: false };
+    });
+    return found;
+  }
+
+  // Compound bodies (houses, chunk scenery) tag their shapes, the rest tag the body
+  getSurface(body, shape, point) {
+    // Wading: shallow water over whatever is below
+    const level = this.game.world.water.getLevelAt(point.x, point.z);
+    if (level !== null && point.y < level) return 'water';
+    return shape?.surface ?? body.surface ?? 'default';
+  }
+
+  // Only for tunneling: a fast fall can pass through the thin heightfield
+  rescueFromTerrain() {
+    const position = this.body.position;
+    const ground = this.game.world.sampleTerrain(position.x, position.z, this.groundSample);
+    const soles = position.y - this.feetOffset;
+
+    if (ground.inBounds && soles < ground.height - this.stepHeight) {
+        position.y = ground.height + this.feetOffset;
+        this.body.velocity.y = Math.max(0, this.body.velocity.y);
+    }
+  }
+
+  // Keep a horizontal move from climbing ground that's too steep
+  constrainMove(move) {
+    if (this.state !== 'sliding') return move;
+
+    // Horizontal part of the normal points downhill; drop any push against it
+    const nx = this.groundNormal.x;
+    const nz = this.groundNormal.z;
+    const length = Math.hypot(nx, nz);
+    if (length < 1e-4) return move;
+
+    const into = (move.x * nx + move.z * nz) / length * Math.sign(move.amount);
+    if (into >= 0) return move;
+
+    const x = move.x - nx / length * into * Math.sign(move.amount);
+    const z = move.z - nz / length * into * Math.sign(move.amount);
+    const remaining = Math.hypot(x, z);
+    if (remaining < 1e-4) return { x: 0, z: 0, amount: 0 };
+    return { x: x / remaining, z: z / remaining, amount: move.amount * remaining };
+  }
+
+  jump(speed) {
+    // Let gravity back in if update() just cancelled it
+    if (this.isGrounded) this.body.force.y += this.body.mass * this.physicsWorld.gravity.y;
+    this.body.velocity.y = speed;
+    this.rising = true;
+    this.timeSinceGrounded = Infinity; // No second ground jump from coyote time
+    this.setState('airborne', null);
+  }
+
+  // After a teleport
+  reset() {
+    this.setState('airborne', null);
+    this.rising = false;
+    this.timeSinceGrounded = Infinity;
+  }
+}
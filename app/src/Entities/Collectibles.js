@@ -1,5 +1,8 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import Editable from '../World/Editable.js';
+import InstancedBatch from '../World/InstancedBatch.js';
+import CollisionGroups from '../Core/CollisionGroups.js';
 
 export default class CollectiblesManager {
   constructor(game) {
@@ -11,55 +14,130 @@ export default class CollectiblesManager {
     this.items = [];
     this.itemsToRemove = [];
     this.score = 0;
-    this.scoreElement = document.getElementById('score');
 
-    this.spawnGems(20);
-    this.spawnGold(5);
-  }
+    // Ids of items taken so far; streamed chunks don't respawn them
+    this.collectedIds = new Set();
+
+    // Loose items per terrain chunk
+    this.gemsPerChunk = 3;
+    this.goldChancePerChunk = 0.3;
+    this.pearlTriesPerChunk = 4; // Spots tried per chunk, kept where the pond is deep enough
+    this.pearlMinDepth = 2; // Worth a dive, not a paddle
 
-  spawnGems(count) {
-    const geometry = new THREE.OctahedronGeometry(0.3);
-    const material = new THREE.MeshStandardMaterial({ 
-        color: 0x00ffff, 
-        emissive: 0x004444,
-        roughness: 0,
-        metalness: 1
+    // Look of every collectible type, shared by all items of that type
+    const gemGeometry = new THREE.OctahedronGeometry(0.3);
+    const goldGeometry = new THREE.BoxGeometry(0.6, 0.2, 0.4);
+    this.styles = {
+        gem: {
+            geometry: gemGeometry,
+            material: new THREE.MeshStandardMaterial({ 
+                color: 0x00ffff, 
+                emissive: 0x004444,
+                roughness: 0,
+                metalness: 1
+            })
+        },
+        gold: {
+            geometry: goldGeometry,
+            material: new THREE.MeshStandardMaterial({ 
+                color: 0xffd700,
+                emissive: 0x443300,
+                roughness: 0.2,
+                metalness: 1
+            })
+        },
+        // Pond floors
+        pearl: {
+            geometry: new THREE.SphereGeometry(0.2, 12, 8),
+            material: new THREE.MeshStandardMaterial({
+                color: 0xfdf6ee,
+                emissive: 0x333344,
+                roughness: 0.1,
+                metalness: 0.3
+            })
+        },
+        // House treasure
+        gem_house: {
+            geometry: gemGeometry,
+            material: new THREE.MeshStandardMaterial({ color: 0xff00ff, emissive: 0x222222 }) // Purple gem for house
+        },
+        gold_house: {
+            geometry: goldGeometry,
+            material: new THREE.MeshStandardMaterial({ color: 0xffd700, emissive: 0x222222 })
+        }
+    };
+
+    // All items of a style are drawn as one instanced mesh
+    Object.values(this.styles).forEach(style => {
+        style.batch = new InstancedBatch(this.scene, style.geometry, style.material, { receiveShadow: false });
     });
+  }
 
-    for (let i = 0; i < count; i++) {
-        this.createItem(geometry, material, 'gem', 10);
+  getBatches() {
+    return Object.values(this.styles).map(style => style.batch);
+  }
+
+  // Gems (and maybe a gold bar, and pearls down in its ponds) for one chunk area,
+  // as level-format descriptors.
+  // Ids are stable per chunk so the same spot comes back, unless it was collected.
+  generateChunkItems(area, world) {
+    const random = area.random;
+    const items = [];
+    const add = (index, type, value) => {
+        const x = area.originX + 2 + random.next() * (area.size - 4);
+        const z = area.originZ + 2 + random.next() * (area.size - 4);
+        items.push({ id: `${area.key}:${index}`, type, value, position: [x, null, z] });
+    };
+
+    for (let i = 0; i < this.gemsPerChunk; i++) {
+        add(i, 'gem', 10);
+    }
+    if (random.chance(this.goldChancePerChunk)) {
+        add(this.gemsPerChunk, 'gold', 50);
     }
+
+    const ground = {};
+    for (let i = 0; i < this.pearlTriesPerChunk; i++) {
+        const x = area.originX + 2 + random.next() * (area.size - 4);
+        const z = area.originZ + 2 + random.next() * (area.size - 4);
+        world.sampleTerrain(x, z, ground);
+        if (ground.depth < this.pearlMinDepth) continue;
+        items.push({ id: `${area.key}:pearl:${i}`, type: 'pearl', value: 25, position: [x, ground.height + 0.4, z] });
+    }
+    return items;
   }
 
-  spawnGold(count) {
-    const geometry = new THREE.BoxGeometry(0.6, 0.2, 0.4);
-    const material = new THREE.MeshStandardMaterial({ 
-        color: 0xffd700,
-        emissive: 0x443300,
-        roughness: 0.2,
-        metalness: 1
+  spawnChunkItems(chunk, items) {
+    items.forEach(data => {
+        if (this.collectedIds.has(data.id)) return;
+        const item = this.spawnItem(data);
+        chunk.items.push(item);
+
+        chunk.world.addEditable(new Editable({
+            kind: 'collectible',
+            data,
+            object: item.object,
+            bodies: [item.body],
+            rotatable: false,
+            onSync: () => { item.baseY = item.object.position.y; },
+            onRemove: () => this.removeItems([item])
+        }), chunk);
     });
+  }
 
-    for (let i = 0; i < count; i++) {
-        this.createItem(geometry, material, 'gold', 50);
-    }
+  // Build an item from a level descriptor: { id, type, value, position: [x, y, z] }
+  spawnItem(item) {
+    const style = this.styles[item.type] ?? this.styles.gem;
+    const [x, y, z] = item.position;
+    return this.createItem(style.batch, item.type, item.value, x, y ?? undefined, z, item.id);
   }
 
-  createItem(geometry, material, type, value, overrideX, overrideY, overrideZ) {
-    let x, y, z;
-    
-    if (overrideX !== undefined) {
-        x = overrideX;
-        y = overrideY;
-        z = overrideZ;
-    } else {
-        x = (Math.random() - 0.5) * 80;
-        z = (Math.random() - 0.5) * 80;
-        
+  // Place an item at (x, z); without a y it sits just above whatever is below (ground, rock, roof)
+  createItem(batch, type, value, x, y, z, id) {
+    if (y === undefined) {
         // Raycast to find ground height
-        y = 5; 
-        const start = new CANNON.Vec3(x, 20, z);
-        const end = new CANNON.Vec3(x, -10, z);
+        const start = new CANNON.Vec3(x, 50, z);
+        const end = new CANNON.Vec3(x, -50, z);
         const raycastResult = new CANNON.RaycastResult();
         this.physicsWorld.raycastClosest(start, end, {}, raycastResult);
         
@@ -70,16 +148,18 @@ export default class CollectiblesManager {
         }
     }
 
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(x, y, z);
-    mesh.castShadow = true;
-    this.scene.add(mesh);
+    // Stand-in the editor moves and the animation spins, drawn by the style's batch
+    const object = new THREE.Object3D();
+    object.position.set(x, y, z);
+    this.scene.add(object);
+    batch.add(object);
 
     // Physics (Trigger)
     const shape = new CANNON.Sphere(0.5);
     const body = new CANNON.Body({
         mass: 0,
         isTrigger: true,
+        collisionFilterGroup: CollisionGroups.TRIGGER,
         position: new CANNON.Vec3(x, y, z)
     });
     body.addShape(shape);
@@ -93,26 +173,73 @@ export default class CollectiblesManager {
 
     this.physicsWorld.addBody(body);
 
-    const item = { mesh, body, value, type, active: true };
+    const item = { id, object, batch, body, value, type, active: true, baseY: y };
     this.items.push(item);
+    return item;
+  }
+
+  // Drop items whose chunk was unloaded (not collected, they come back with the chunk)
+  removeItems(items) {
+    items.forEach(item => {
+        if (item.active) {
+            item.active = false;
+            this.hideItem(item);
+            this.itemsToRemove.push(item.body);
+        }
+    });
+    this.items = this.items.filter(item => !items.includes(item));
   }
 
   collect(item) {
     if (!item.active) return;
     item.active = false;
+    if (item.id) this.collectedIds.add(item.id);
 
     // Remove visual
-    this.scene.remove(item.mesh);
+    this.hideItem(item);
     
     // Queue physics removal
     this.itemsToRemove.push(item.body);
 
     // Update score
     this.score += item.value;
-    this.scoreElement.innerText = `Score: ${this.score}`;
-    
-    // Optional: Play sound or particle effect
-    console.log(`Collected ${item.type}! +${item.value}`);
+
+    const events = this.game.events;
+    events.emit('item:collected', {
+        item: { id: item.id, type: item.type, value: item.value },
+        score: this.score,
+        position: item.object.position.clone()
+    });
+    events.emit('score:changed', { score: this.score });
+  }
+
+  hideItem(item) {
+    item.batch.remove(item.object);
+    this.scene.remove(item.object);
+  }
+
+  // Save game hooks
+  serialize() {
+    return {
+        score: this.score,
+        collected: [...this.collectedIds]
+    };
+  }
+
+  restore(state) {
+    this.score = state.score ?? 0;
+    this.collectedIds = new Set(state.collected ?? []);
+    this.game.events.emit('score:changed', { score: this.score });
+
+    // Take away anything already spawned that the save says is gone
+    this.removeItems(this.items.filter(item => item.id && this.collectedIds.has(item.id)));
+  }
+
+  dispose() {
+    this.removeItems(this.items);
+    this.itemsToRemove.forEach(body => this.physicsWorld.removeBody(body));
+    this.itemsToRemove = [];
+    this.getBatches().forEach(batch => batch.dispose());
   }
 
   update(deltaTime) {
@@ -125,14 +252,16 @@ export default class CollectiblesManager {
     }
 
     // Animate items (spin/float)
-    const time = this.game.clock.getElapsedTime();
+    const time = this.game.time.elapsed;
     this.items.forEach(item => {
         if (item.active) {
-            item.mesh.rotation.y += deltaTime;
-            item.mesh.position.y = item.body.position.y + Math.sin(time * 2 + item.mesh.position.x) * 0.1;
-            // Sync trigger body? usually triggers don't need exact visual sync if static, but floating looks nice.
-            // If we move mesh, we should move body if we want hitbox to float too.
-            item.body.position.y = item.mesh.position.y;
+            const object = item.object;
+            object.rotation.y += deltaTime;
+            // Float around the resting height (bobbing off the body's own y would drift)
+            object.position.y = item.baseY + Math.sin(time * 2 + object.position.x) * 0.1;
+            item.batch.update(object);
+            // Move the trigger with the item so the hitbox floats too
+            item.body.position.y = object.position.y;
         }
     });
   }
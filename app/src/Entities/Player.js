@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import CharacterController from './CharacterController.js';
 
 export default class Player {
   constructor(game) {
@@ -7,7 +8,14 @@ export default class Player {
     this.scene = game.scene;
     this.physicsWorld = game.physicsWorld;
     this.input = game.input;
-    this.camera = game.camera;
+    this.tuning = game.tuning; // Speeds, jump, swim and camera numbers
+
+    // Facing, advanced per tick; the mesh shows it interpolated between ticks
+    this.heading = 0;
+    this.previousHeading = 0;
+
+    // Where to put us back if we run out of air
+    this.lastDryGround = new CANNON.Vec3();
 
     this.initPlayer();
   }
@@ -66,18 +74,12 @@ export default class Player {
 
     this.scene.add(this.mesh);
 
-    // Physics
-    const radius = 0.8;
-    const shape = new CANNON.Sphere(radius); 
-    this.body = new CANNON.Body({
-      mass: 5, 
-      position: new CANNON.Vec3(0, 10, 0), 
-      shape: shape,
-      material: this.game.defaultMaterial
-    });
-    this.body.linearDamping = 0.9;
-    this.body.angularDamping = 1.0; 
-    this.body.fixedRotation = true; 
+    // Physics: a capsule kept on its feet by the controller (ground state, surface)
+    // Soles 0.8 below the body, like the mesh's feet
+    this.controller = new CharacterController(this.game, { feetOffset: 0.8, headOffset: 1.0 });
+    this.body = this.controller.body;
+    this.body.position.set(0, 10, 0);
+    this.body.linearDamping = this.tuning.player.linearDamping;
 
     this.physicsWorld.addBody(this.body);
 
@@ -86,51 +88,128 @@ export default class Player {
     
     // Jump state
     this.jumpCount = 0;
-    this.canJump = true; // To prevent holding key
+    this.jumpBufferTimer = 0; // A press waiting for us to be able to jump
     this.isSwimming = false;
+    this.inWater = false;
+    this.water = null; // Pond we're over (see WaterManager.js)
+
+    // Breath, in seconds left; runs down while the head is under water
+    this.breath = this.tuning.player.breathTime;
+    this.breathPercent = 100; // Last reported
+    this.headUnder = false;
+    this.headHeight = 0.8; // Above the body, around the eyes
+
+    // Ground covered since the last footstep or swim stroke
+    this.stride = 0;
   }
 
   resetToGround() {
-    // Force reset to center safely
-    const height = this.game.world.getTerrainHeightAt(0, 0);
-    this.body.position.set(0, height + 2, 0);
+    // Force reset to the level's spawn point safely
+    const spawn = this.game.world.spawn;
+    const [x, y, z] = this.game.world.resolvePosition(spawn.position);
+    this.body.position.set(x, y + 2, z);
     this.body.velocity.set(0,0,0);
+    this.setHeading(spawn.heading);
+    this.snapToBody();
+    this.controller.reset();
+    this.lastDryGround.copy(this.body.position);
   }
 
+  respawn() {
+    this.resetToGround();
+    this.game.events.emit('player:respawned', { position: this.body.position.clone() });
+  }
+
+  setHeading(heading) {
+    this.heading = heading;
+    this.previousHeading = heading;
+    this.mesh.rotation.y = heading;
+  }
+
+  // After a teleport: don't interpolate from where we were
+  snapToBody() {
+    this.body.previousPosition.copy(this.body.position);
+    this.mesh.position.copy(this.body.position);
+    this.mesh.position.y += 0.1;
+  }
+
+  // Save game hooks
+  serialize() {
+    const position = this.body.position;
+    return {
+        position: [position.x, position.y, position.z],
+        heading: this.heading
+    };
+  }
+
+  restore(state) {
+    const [x, y, z] = state.position;
+    this.body.position.set(x, y, z);
+    this.body.velocity.set(0, 0, 0);
+    this.setHeading(state.heading ?? 0);
+    this.snapToBody();
+    this.controller.reset();
+    this.lastDryGround.copy(this.body.position);
+    this.breath = this.tuning.player.breathTime;
+    this.jumpCount = 0;
+  }
+
+  dispose() {
+    this.physicsWorld.removeBody(this.body);
+    this.scene.remove(this.mesh);
+  }
+
+  // Gameplay, once per fixed tick (right after the physics step)
   update(deltaTime) {
-    // 1. Safety Clamp: Ensure player never falls below terrain
-    const terrainHeight = this.game.world.getTerrainHeightAt(this.body.position.x, this.body.position.z);
-    
-    // If player is sinking below ground (with small buffer), snap them up
-    // We expect player Y to be at least terrainHeight + radius (0.8)
-    const minHeight = terrainHeight + 0.8;
-    
-    if (this.body.position.y < minHeight) {
-        // Only clamp if not underwater swimming (assuming water is at -0.5)
-        // If terrain is below water, we allow swimming logic to handle it, 
-        // BUT we must not go through the terrain floor of the pond.
-        this.body.position.y = minHeight;
-        this.body.velocity.y = Math.max(0, this.body.velocity.y); // Cancel downward velocity
+    this.previousHeading = this.heading;
+
+    // Ground, slopes, steps (off the map there is no ground to hold us: fall and respawn)
+    this.controller.update(deltaTime, this.isSwimming);
+    if (this.controller.isGrounded && this.controller.surface !== 'water') {
+        this.lastDryGround.copy(this.body.position);
     }
 
-    // Sync visual with physics
-    // Interpolate visual mesh position for smoothness
-    // Instead of hard copy, we lerp slightly to hide physics steps
-    // Or just hard copy if we trust 60fps.
-    // Let's hard copy but ensure the offset is correct.
-    this.mesh.position.copy(this.body.position);
-    this.mesh.position.y += 0.1; 
-    
-    // Tank controls are already smooth (rotation += speed * dt)
-    
     this.handleMovement(deltaTime);
-    this.updateCamera();
     this.checkWater();
-    this.animateCharacter(deltaTime);
+    this.updateBreath(deltaTime);
+    this.updateStride(deltaTime);
+  }
+
+  // A footstep (or a stroke in the water) every stride, longer strides when running
+  updateStride(deltaTime) {
+    const speed = Math.hypot(this.body.velocity.x, this.body.velocity.z);
+    if (speed < 0.5 || !(this.isSwimming || this.controller.isGrounded)) {
+        this.stride = 0;
+        return;
+    }
+
+    this.stride += speed * deltaTime;
+    const length = this.isSwimming ? 1.5 : 1 + speed * 0.1;
+    if (this.stride < length) return;
+    this.stride -= length;
+
+    const position = this.body.position.clone();
+    if (this.isSwimming) {
+        this.game.events.emit('player:swimStroke', { position });
+    } else {
+        position.y -= this.controller.feetOffset;
+        this.game.events.emit('player:footstep', { position, surface: this.controller.surface });
+    }
+  }
+
+  // Visuals, once per rendered frame. alpha is how far we are from the last
+  // tick to the next one, so the mesh sits between the two body states
+  render(alpha, frameDelta) {
+    // The body's previousPosition is where the last physics step started
+    this.body.previousPosition.lerp(this.body.position, alpha, this.mesh.position);
+    this.mesh.position.y += 0.1;
+    this.mesh.rotation.y = this.previousHeading + (this.heading - this.previousHeading) * alpha;
+
+    this.animateCharacter(frameDelta);
   }
 
   animateCharacter(deltaTime) {
-    const time = this.game.clock.getElapsedTime();
+    const time = this.game.time.elapsed;
     
     // Swimming Animation
     if (this.isSwimming) {
@@ -138,7 +217,9 @@ export default class Player {
         // Three.js Right Hand Rule: Rotate around X axis.
         // +Y (Head) rotates to +Z (Back/Camera) with positive rotation.
         // We want Head to point to -Z (Forward). So we need -PI/2.
-        this.characterVisual.rotation.x = -Math.PI / 2; // Face down, Head Forward
+        // Tip the head down while diving, up while swimming up
+        const pitch = THREE.MathUtils.clamp(this.body.velocity.y * 0.2, -0.8, 0.8);
+        this.characterVisual.rotation.x = -Math.PI / 2 + pitch; // Face down, Head Forward
         this.characterVisual.position.y = 0.2; // Adjust height center
 
         // Swim stroke
@@ -178,139 +259,189 @@ export default class Player {
         this.rightArm.rotation.x = 0;
         
         // Breathing
-        this.torso.scale.y = 1 + Math.sin(this.game.clock.getElapsedTime() * 2) * 0.02;
+        this.torso.scale.y = 1 + Math.sin(time * 2) * 0.02;
     }
   }
 
   handleMovement(deltaTime) {
     const isSwimming = this.isSwimming;
-    let speed = this.input.keys.run ? 12 : 6;
-    if (isSwimming) speed *= 0.5;
+    const tuning = this.tuning.player;
+    let speed = this.input.isHeld('run') ? tuning.runSpeed : tuning.walkSpeed;
+    if (isSwimming) speed *= tuning.swimSpeedMultiplier;
 
-    const jumpForce = 8;
-    
-    // Rotation (Tank Controls)
-    const rotateSpeed = 2.5 * deltaTime;
-    if (this.input.keys.left) {
-        this.mesh.rotation.y += rotateSpeed;
-    }
-    if (this.input.keys.right) {
-        this.mesh.rotation.y -= rotateSpeed;
-    }
+    // Where to go this tick: a direction on the ground and how hard (-1..1)
+    const move = this.controller.constrainMove(this.game.settings.get('movement') === 'camera'
+        ? this.getCameraRelativeMove(deltaTime)
+        : this.getTankMove(deltaTime));
 
-    // Movement Direction based on Character Facing
-    let moveForward = 0;
-    if (this.input.keys.forward) moveForward = 1;
-    if (this.input.keys.backward) moveForward = -1;
-
-    if (moveForward !== 0) {
-        // Calculate forward vector based on rotation
-        // Character faces along +Z or -Z?
-        // Let's assume standard -Z is forward in visual terms, but we can align physics.
-        // If rotation is 0, we want to move towards -Z?
-        // Let's test: rotation 0. sin(0)=0, cos(0)=1. 
-        // We want (0,0,-1).
-        // So x = -sin(rot), z = -cos(rot).
-        
-        const rot = this.mesh.rotation.y;
-        const dx = -Math.sin(rot);
-        const dz = -Math.cos(rot);
-        
-        this.body.velocity.x = dx * speed * moveForward;
-        this.body.velocity.z = dz * speed * moveForward;
+    if (move.amount !== 0) {
+        this.body.velocity.x = move.x * speed * move.amount;
+        this.body.velocity.z = move.z * speed * move.amount;
     } else {
         // Stop horizontal movement
-        const friction = isSwimming ? 0.8 : 0.5;
+        const friction = isSwimming ? tuning.swimStopFriction : tuning.stopFriction;
         this.body.velocity.x *= friction;
         this.body.velocity.z *= friction;
     }
 
+    if (isSwimming) this.swimVertically();
+
     // Jump Logic
-    // Reset jump count if grounded
-    if (this.isGrounded()) {
+    // Landing gives the jumps back. Walking off an edge keeps the ground jump for
+    // coyote time, after that falling has used it up
+    if (this.controller.isGrounded) {
         this.jumpCount = 0;
+    } else if (this.jumpCount === 0 && !isSwimming && !this.controller.canGroundJump) {
+        this.jumpCount = 1;
     }
 
-    if (this.input.keys.jump) {
-        if (this.canJump) {
-            // Jump logic
-            let didJump = false;
-            
-            // Allow jumping out of water regardless of count if swimming
-            if (isSwimming && this.body.position.y > -1.5) { // Near surface
-                 this.body.velocity.y = 10; // Big launch
-                 this.isSwimming = false; // Break state
-                 didJump = true;
-            } 
-            // Regular triple jump
-            else if (this.jumpCount < 3) { 
-                this.body.velocity.y = jumpForce;
-                this.jumpCount++;
-                didJump = true;
-            }
-            
-            this.canJump = false; 
-        }
-    } else {
-        this.canJump = true; 
+    // One jump per press, holding the key doesn't repeat. A press we can't act on
+    // yet (out of air jumps) is kept for jumpBuffer, so pressing just before landing works
+    if (this.input.wasPressed('jump')) this.jumpBufferTimer = tuning.jumpBuffer;
+    if (this.jumpBufferTimer > 0) {
+        if (this.tryJump()) this.jumpBufferTimer = 0;
+        else this.jumpBufferTimer -= deltaTime;
     }
   }
 
-  isGrounded() {
-      // Simple check: Raycast down
-      const start = new CANNON.Vec3(this.body.position.x, this.body.position.y, this.body.position.z);
-      const end = new CANNON.Vec3(this.body.position.x, this.body.position.y - 1.0, this.body.position.z);
-      const raycastResult = new CANNON.RaycastResult();
-      this.physicsWorld.raycastClosest(start, end, {}, raycastResult);
-      return raycastResult.hasHit;
+  tryJump() {
+    const tuning = this.tuning.player;
+    const controller = this.controller;
+
+    // Allow jumping out of water regardless of count if swimming
+    if (this.isSwimming) {
+        // Deeper down, holding jump swims up instead (see swimVertically)
+        if (this.body.position.y < this.water.level - 1) return false;
+
+        controller.jump(tuning.swimJumpForce); // Big launch
+        this.isSwimming = false; // Break state
+        this.game.events.emit('player:jumped', { jumpCount: 0, fromWater: true });
+        return true;
+    }
+
+    // Regular triple jump
+    if (this.jumpCount < tuning.maxJumps) {
+        controller.jump(tuning.jumpForce);
+        this.jumpCount++;
+        this.game.events.emit('player:jumped', { jumpCount: this.jumpCount, fromWater: false });
+        return true;
+    }
+    return false;
+  }
+
+  // Dive held swims down, jump held swims back up while the head is under.
+  // Letting go, buoyancy brings us up to float at the surface.
+  swimVertically() {
+    const speed = this.tuning.player.diveSpeed;
+    if (this.input.isHeld('dive')) {
+        this.body.velocity.y = -speed;
+    } else if (this.input.isHeld('jump') && this.headUnder) {
+        this.body.velocity.y = speed;
+    }
+  }
+
+  // Tank controls: left/right turn, forward/back along the facing
+  getTankMove(deltaTime) {
+    // Axes are -1..1: keys give full speed, a stick anything in between
+    const rotateSpeed = this.tuning.player.turnSpeed * deltaTime;
+    this.heading -= this.input.getAxis('turn') * rotateSpeed;
+
+    // Character faces -Z at heading 0, so forward is (-sin, -cos)
+    return {
+        x: -Math.sin(this.heading),
+        z: -Math.cos(this.heading),
+        amount: this.input.getAxis('move')
+    };
+  }
+
+  // Camera relative: forward is into the screen, left/right strafe, and the
+  // character turns toward where it's going
+  getCameraRelativeMove(deltaTime) {
+    const right = this.input.getAxis('turn');
+    const forward = this.input.getAxis('move');
+    const length = Math.hypot(right, forward);
+    if (length === 0) return { x: 0, z: 0, amount: 0 };
+
+    // Forward along the view is (-sin, -cos), right of it is (cos, -sin)
+    const yaw = this.getViewYaw();
+    const x = (-Math.sin(yaw) * forward + Math.cos(yaw) * right) / length;
+    const z = (-Math.cos(yaw) * forward - Math.sin(yaw) * right) / length;
+
+    // Turn the short way round; heading isn't wrapped so render can lerp it
+    const target = Math.atan2(-x, -z);
+    const turn = Math.atan2(Math.sin(target - this.heading), Math.cos(target - this.heading));
+    this.heading += turn * (1 - Math.exp(-this.tuning.player.faceDecay * deltaTime));
+
+    // Diagonals on keys are no faster than straight
+    return { x, z, amount: Math.min(length, 1) };
+  }
+
+  // Which way the camera looks, as a heading
+  getViewYaw() {
+    const controller = this.game.cameraController;
+    return controller ? controller.getYaw() : this.heading;
   }
 
   checkWater() {
-      const waterLevel = -0.5;
-      
-      if (this.body.position.y < waterLevel) {
-          this.isSwimming = true;
-          // Swimming physics: gravity reduced, linear damping increased
-          this.body.linearDamping = 0.9; // Drag
-          // Push up force (buoyancy)
-          // Only push if significantly underwater to float at surface
-          const depth = waterLevel - this.body.position.y;
-          if (depth > 0) {
-            this.body.applyForce(new CANNON.Vec3(0, 20 * depth, 0), this.body.position);
-          }
-      } else {
-          this.isSwimming = false;
-          this.body.linearDamping = 0.9; // Normal drag (actually this was high before, stick to 0.9?? 0.9 is very high damp)
-          // Normal walking linearDamping should be low? Cannon default is 0.01.
-          // Wait, previous code set it to 0.9 in init. That explains sharp stops.
-          // Let's keep it consistent.
+      const position = this.body.position;
+      const world = this.game.world;
+      const water = world.water.getBodyAt(position.x, position.z);
+      this.water = water;
+
+      // Swimming where it's too deep to stand, until we climb out or jump well clear.
+      // Floating itself (buoyancy, drag) is up to the water, see WaterManager.js
+      const tooDeep = water !== null && water.level - world.getTerrainHeightAt(position.x, position.z) > this.controller.feetOffset;
+      const inWater = tooDeep && position.y < water.level + 0.5;
+
+      // Tell listeners when we start and stop swimming (isSwimming also flips on swim launches)
+      if (inWater !== this.inWater) {
+          this.inWater = inWater;
+          this.game.events.emit(inWater ? 'player:enteredWater' : 'player:leftWater', { position: position.clone() });
       }
+      this.isSwimming = inWater;
 
       // Respawn if fell off world
       if (this.body.position.y < -20) {
-          this.resetToGround();
+          this.respawn();
       }
   }
 
-  updateCamera() {
-    // Camera always behind player
-    // Calculate offset based on player rotation
-    const relativeOffset = new THREE.Vector3(0, 5, 12);
-    // Rotate offset by player rotation
-    relativeOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.mesh.rotation.y);
-    
-    const targetPos = this.mesh.position.clone().add(relativeOffset);
-    
-    // Smooth follow using frame-rate independent damping
-    // Factor = 1 - Math.exp(-decay * dt)
-    // Decay 5.0 is smooth, 10.0 is snappy
-    const decay = 5.0;
-    const factor = 1.0 - Math.exp(-decay * this.game.deltaTime);
-    
-    this.camera.position.lerp(targetPos, factor);
-    
-    // Look at player head
-    const lookTarget = this.mesh.position.clone().add(new THREE.Vector3(0, 2, 0));
-    this.camera.lookAt(lookTarget);
+  updateBreath(deltaTime) {
+      const tuning = this.tuning.player;
+      const position = this.body.position;
+
+      const headUnder = this.water !== null && position.y + this.headHeight < this.water.level;
+      if (headUnder !== this.headUnder) {
+          this.headUnder = headUnder;
+          this.game.events.emit(headUnder ? 'player:dived' : 'player:surfaced', { position: position.clone() });
+      }
+
+      if (headUnder) {
+          this.breath = Math.max(0, this.breath - deltaTime);
+      } else {
+          this.breath = Math.min(tuning.breathTime, this.breath + tuning.breathRecovery * deltaTime);
+      }
+
+      // The HUD only hears about whole percents
+      const percent = Math.round(Math.min(this.breath / tuning.breathTime, 1) * 100);
+      if (percent !== this.breathPercent) {
+          this.breathPercent = percent;
+          this.game.events.emit('player:breathChanged', { breath: percent / 100 });
+      }
+
+      if (headUnder && this.breath <= 0) this.rescueFromWater();
+  }
+
+  // Out of air: back to the last dry ground we stood on, breath full
+  rescueFromWater() {
+      this.game.events.emit('player:outOfBreath', { position: this.body.position.clone() });
+
+      this.body.position.copy(this.lastDryGround);
+      this.body.velocity.set(0, 0, 0);
+      this.snapToBody();
+      this.controller.reset();
+      this.breath = this.tuning.player.breathTime;
+
+      this.game.events.emit('player:respawned', { position: this.body.position.clone() });
   }
 }
@@ -0,0 +1,96 @@
+import { GUI } from 'dat.gui';
+import InputManager from '../Core/InputManager.js';
+import Settings from '../Core/Settings.js';
+
+// Key rebinding menu, toggled with F4, with the player settings on top.
+// Every action has a primary and a secondary key: click one, then press the new key
+// (ESC cancels, BACKSPACE clears the slot). Bindings save as soon as they change.
+export default class ControlsPanel {
+  static SLOTS = 2;
+
+  constructor(game) {
+    this.game = game;
+    this.input = game.input;
+
+    this.gui = new GUI({ width: 320 });
+    this.gui.hide();
+    this.visible = false;
+
+    this.buttons = []; // { action, slot, controller }
+    this.initControls();
+
+    window.addEventListener('keydown', (e) => {
+        if (e.code === InputManager.RESERVED_KEYS.controls) {
+            e.preventDefault();
+            this.toggle();
+        }
+    });
+  }
+
+  initControls() {
+    const settings = this.game.settings;
+    const values = { ...settings.values };
+    Object.entries(Settings.OPTIONS).forEach(([key, option]) => {
+        this.gui.add(values, key, option.values)
+            .name(option.label)
+            .onChange(value => settings.set(key, value));
+    });
+
+    Object.entries(InputManager.ACTIONS).forEach(([action, { label }]) => {
+        const folder = this.gui.addFolder(label);
+        for (let slot = 0; slot < ControlsPanel.SLOTS; slot++) {
+            const params = { rebind: () => this.rebind(action, slot) };
+            const controller = folder.add(params, 'rebind');
+            this.buttons.push({ action, slot, controller });
+        }
+        folder.open();
+    });
+
+    const params = {
+        reset: () => {
+            this.input.resetBindings();
+            this.refresh();
+        }
+    };
+    this.gui.add(params, 'reset').name('Reset to defaults');
+
+    this.refresh();
+  }
+
+  async rebind(action, slot) {
+    // Clicking another button while waiting: give up on the first one
+    this.input.cancelCapture();
+
+    const button = this.buttons.find(b => b.action === action && b.slot === slot);
+    button.controller.name(`${slot === 0 ? 'Primary' : 'Secondary'}: press a key...`);
+
+    const code = await this.input.captureNextKey();
+    if (code === 'Backspace') this.input.bind(action, slot, null);
+    else if (code && code !== 'Escape' && !this.input.bind(action, slot, code)) {
+        // Left waiting to be clicked again
+        button.controller.name(`${slot === 0 ? 'Primary' : 'Secondary'}: ${this.input.describeKey(code)} is taken, try another`);
+        return;
+    }
+
+    this.refresh();
+  }
+
+  refresh() {
+    this.buttons.forEach(({ action, slot, controller }) => {
+        const code = this.input.bindings[action][slot];
+        controller.name(`${slot === 0 ? 'Primary' : 'Secondary'}: ${this.input.describeKey(code)}`);
+    });
+    this.game.hud.updateControls();
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    if (this.visible) {
+        this.refresh();
+        this.gui.show();
+    } else {
+        this.input.cancelCapture();
+        this.gui.hide();
+    }
+  }
+}
@@ -0,0 +1,41 @@
+import InputManager from '../Core/InputManager.js';
+
+// On-screen text overlay, driven by game events.
+export default class Hud {
+  constructor(game) {
+    this.game = game;
+    this.scoreElement = document.getElementById('score');
+    this.controlsElement = document.getElementById('controls');
+    this.breathElement = document.getElementById('breath');
+    this.breathFillElement = document.getElementById('breath-fill');
+
+    game.events.on('score:changed', ({ score }) => {
+        this.scoreElement.innerText = `Score: ${score}`;
+    });
+
+    // Only shown while it isn't full
+    game.events.on('player:breathChanged', ({ breath }) => {
+        this.breathElement.classList.toggle('visible', breath < 1);
+        this.breathFillElement.style.width = `${breath * 100}%`;
+        this.breathFillElement.classList.toggle('low', breath < 0.25);
+    });
+
+    this.updateControls();
+    // Again once key names for the user's keyboard layout are known
+    game.input.layoutReady.then(() => this.updateControls());
+  }
+
+  // Controls hint from the current key bindings (primary keys only)
+  updateControls() {
+    const input = this.game.input;
+    const key = action => input.describeKey(input.bindings[action][0]);
+    const move = ['forward', 'left', 'backward', 'right'].map(key).join('');
+    const reserved = name => input.describeKey(InputManager.RESERVED_KEYS[name]);
+
+    this.controlsElement.innerText =
+        `${move} to move, ${key('jump')} to jump, ${key('run')} to run, ${key('dive')} to dive, ${key('interact')} to open doors, ` +
+        `${key('camera')} to switch camera, drag to look, ` +
+        `${reserved('editor')} for editor, ${reserved('tuning')} for tuning, ${reserved('saves')} for save/load, ` +
+        `${reserved('controls')} for controls, ${reserved('pause')} to pause`;
+  }
+}
@@ -0,0 +1,83 @@
+import { GUI } from 'dat.gui';
+import SaveManager from '../Core/SaveManager.js';
+import InputManager from '../Core/InputManager.js';
+
+// Save/load menu over game.saves, toggled with F3.
+// One folder per slot showing what's in it, plus the autosave.
+export default class SavePanel {
+  constructor(game) {
+    this.game = game;
+    this.saves = game.saves;
+
+    this.gui = new GUI({ width: 300 });
+    this.gui.hide();
+    this.visible = false;
+
+    this.slotInfo = {};
+    this.initControls();
+
+    window.addEventListener('keydown', (e) => {
+        if (e.code === InputManager.RESERVED_KEYS.saves) {
+            e.preventDefault();
+            this.toggle();
+        }
+    });
+  }
+
+  initControls() {
+    SaveManager.SLOTS.forEach((slot, i) => {
+        const folder = this.gui.addFolder(`Slot ${i + 1}`);
+        const params = {
+            info: '',
+            save: () => {
+                this.saves.save(slot);
+                this.refresh();
+            },
+            load: () => this.saves.load(slot),
+            remove: () => {
+                this.saves.remove(slot);
+                this.refresh();
+            }
+        };
+        this.slotInfo[slot] = params;
+
+        folder.add(params, 'info').name('Saved').listen();
+        folder.add(params, 'save').name('Save here');
+        folder.add(params, 'load').name('Load');
+        folder.add(params, 'remove').name('Delete');
+        folder.open();
+    });
+
+    const autoFolder = this.gui.addFolder('Autosave');
+    const autoParams = {
+        info: '',
+        load: () => this.saves.load(SaveManager.AUTO_SLOT),
+        newGame: () => this.saves.newGame()
+    };
+    this.slotInfo[SaveManager.AUTO_SLOT] = autoParams;
+
+    autoFolder.add(autoParams, 'info').name('Saved').listen();
+    autoFolder.add(this.saves, 'autosaveEnabled').name('Enabled');
+    autoFolder.add(autoParams, 'load').name('Load');
+    autoFolder.add(autoParams, 'newGame').name('New park');
+    autoFolder.open();
+
+    this.refresh();
+  }
+
+  refresh() {
+    Object.entries(this.slotInfo).forEach(([slot, params]) => {
+        params.info = this.saves.describe(slot);
+    });
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    if (this.visible) {
+        this.refresh();
+        this.gui.show();
+    } else {
+        this.gui.hide();
+    }
+  }
+}
@@ -0,0 +1,167 @@
+// On-screen controls for touch devices, reporting into the InputManager's 'touch' source.
+//  - Left half: a floating joystick appears under the thumb (move / turn)
+//  - Right half: drag to swing the camera around
+//  - Buttons bottom right: jump, run (hold), interact, dive (hold), switch camera
+// Each finger is tracked by its pointer id, so moving and pressing buttons work together.
+// Shown automatically on touch devices; ?touch forces them on for testing.
+export default class TouchControls {
+  static SOURCE = 'touch';
+  static BUTTONS = [
+    { action: 'jump', label: 'Jump' },
+    { action: 'run', label: 'Run' },
+    { action: 'interact', label: 'Use' },
+    { action: 'dive', label: 'Dive' },
+    { action: 'camera', label: 'Cam' }
+  ];
+
+  constructor(game) {
+    this.game = game;
+    this.input = game.input;
+
+    this.joystickRadius = 60; // Pixels of thumb travel for full speed
+    this.deadZone = 0.1;
+
+    this.joystickPointer = null;
+    this.joystickOrigin = { x: 0, y: 0 };
+    this.lookPointer = null;
+    this.lookLast = { x: 0, y: 0 };
+
+    this.enabled = TouchControls.isTouchDevice();
+    if (!this.enabled) return;
+
+    this.createElements();
+    this.initEvents();
+  }
+
+  static isTouchDevice() {
+    if (new URLSearchParams(window.location.search).has('touch')) return true;
+    return navigator.maxTouchPoints > 0 || window.matchMedia('(pointer: coarse)').matches;
+  }
+
+  createElements() {
+    this.element = document.createElement('div');
+    this.element.id = 'touch-controls';
+
+    this.moveZone = document.createElement('div');
+    this.moveZone.className = 'touch-zone touch-move';
+    this.lookZone = document.createElement('div');
+    this.lookZone.className = 'touch-zone touch-look';
+
+    // Joystick base and knob, positioned where the thumb lands
+    this.joystickBase = document.createElement('div');
+    this.joystickBase.className = 'touch-joystick';
+    this.joystickKnob = document.createElement('div');
+    this.joystickKnob.className = 'touch-joystick-knob';
+    this.joystickBase.appendChild(this.joystickKnob);
+    this.moveZone.appendChild(this.joystickBase);
+
+    this.buttons = document.createElement('div');
+    this.buttons.className = 'touch-buttons';
+    TouchControls.BUTTONS.forEach(({ action, label }) => {
+        const button = document.createElement('div');
+        button.className = `touch-button touch-${action}`;
+        button.innerText = label;
+        this.initButton(button, action);
+        this.buttons.appendChild(button);
+    });
+
+    this.element.append(this.moveZone, this.lookZone, this.buttons);
+    // Right above the canvas, so the menus (dat.gui) stay on top of it
+    document.getElementById('game-container').after(this.element);
+  }
+
+  initEvents() {
+    // Joystick
+    this.moveZone.addEventListener('pointerdown', (e) => {
+        if (this.joystickPointer !== null) return;
+        this.joystickPointer = e.pointerId;
+        this.moveZone.setPointerCapture(e.pointerId);
+
+        this.joystickOrigin.x = e.clientX;
+        this.joystickOrigin.y = e.clientY;
+        this.joystickBase.style.left = `${e.clientX}px`;
+        this.joystickBase.style.top = `${e.clientY}px`;
+        this.joystickBase.classList.add('active');
+        this.moveJoystick(e);
+    });
+    this.moveZone.addEventListener('pointermove', (e) => {
+        if (e.pointerId === this.joystickPointer) this.moveJoystick(e);
+    });
+    const endJoystick = (e) => {
+        if (e.pointerId !== this.joystickPointer) return;
+        this.joystickPointer = null;
+        this.joystickBase.classList.remove('active');
+        this.joystickKnob.style.transform = '';
+        this.input.setSourceAxis(TouchControls.SOURCE, 'move', 0);
+        this.input.setSourceAxis(TouchControls.SOURCE, 'turn', 0);
+    };
+    this.moveZone.addEventListener('pointerup', endJoystick);
+    this.moveZone.addEventListener('pointercancel', endJoystick);
+
+    // Look
+    this.lookZone.addEventListener('pointerdown', (e) => {
+        if (this.lookPointer !== null) return;
+        this.lookPointer = e.pointerId;
+        this.lookZone.setPointerCapture(e.pointerId);
+        this.lookLast.x = e.clientX;
+        this.lookLast.y = e.clientY;
+    });
+    this.lookZone.addEventListener('pointermove', (e) => {
+        if (e.pointerId !== this.lookPointer) return;
+        this.input.addLook(e.clientX - this.lookLast.x, e.clientY - this.lookLast.y);
+        this.lookLast.x = e.clientX;
+        this.lookLast.y = e.clientY;
+    });
+    const endLook = (e) => {
+        if (e.pointerId === this.lookPointer) this.lookPointer = null;
+    };
+    this.lookZone.addEventListener('pointerup', endLook);
+    this.lookZone.addEventListener('pointercancel', endLook);
+  }
+
+  initButton(button, action) {
+    let pointer = null;
+    button.addEventListener('pointerdown', (e) => {
+        if (pointer !== null) return;
+        pointer = e.pointerId;
+        button.setPointerCapture(e.pointerId);
+        button.classList.add('active');
+        this.input.setSourceAction(TouchControls.SOURCE, action, true);
+    });
+    const release = (e) => {
+        if (e.pointerId !== pointer) return;
+        pointer = null;
+        button.classList.remove('active');
+        this.input.setSourceAction(TouchControls.SOURCE, action, false);
+    };
+    button.addEventListener('pointerup', release);
+    button.addEventListener('pointercancel', release);
+  }
+
+  moveJoystick(event) {
+    let dx = event.clientX - this.joystickOrigin.x;
+    let dy = event.clientY - this.joystickOrigin.y;
+
+    // Keep the knob on the base
+    const distance = Math.hypot(dx, dy);
+    if (distance > this.joystickRadius) {
+        dx *= this.joystickRadius / distance;
+        dy *= this.joystickRadius / distance;
+    }
+    this.joystickKnob.style.transform = `translate(${dx}px, ${dy}px)`;
+
+    let x = dx / this.joystickRadius;
+    let y = dy / this.joystickRadius;
+    if (Math.hypot(x, y) < this.deadZone) x = y = 0;
+
+    // Screen up is forward
+    this.input.setSourceAxis(TouchControls.SOURCE, 'move', -y);
+    this.input.setSourceAxis(TouchControls.SOURCE, 'turn', x);
+  }
+
+  // Out of the way while the editor (mouse driven) is open
+  update() {
+    const hidden = this.game.editor && this.game.editor.enabled;
+    this.element.style.display = hidden ? 'none' : '';
+  }
+}
@@ -0,0 +1,77 @@
+import * as CANNON from 'cannon-es';
+
+// Static colliders merged into one CANNON.Body, so the broadphase sees a single
+// body per chunk instead of one per rock and tree.
+// add() returns a part that keeps track of its shapes: parts can be moved (editor)
+// and taken out again. Parts carry a position and quaternion like a body does, so
+// an Editable can hold them in `colliders` next to its bodies.
+//
+// A shape's surface (shape.surface) wins over the body's, see CharacterController.
+export default class CompoundCollider {
+  constructor(physicsWorld, { position = new CANNON.Vec3(), surface = 'default' } = {}) {
+    this.physicsWorld = physicsWorld;
+    this.parts = new Set();
+
+    this.body = new CANNON.Body({ mass: 0 });
+    this.body.position.copy(position); // Keeps the shape offsets small
+    this.body.surface = surface;
+  }
+
+  // shapes: [{ shape, offset, orientation }] around the part's own origin
+  add({ position, quaternion = new CANNON.Quaternion(), shapes, surface = null }) {
+    const part = {
+        compound: this,
+        position: new CANNON.Vec3().copy(position),
+        quaternion: new CANNON.Quaternion().copy(quaternion),
+        shapes: shapes.map(({ shape, offset = new CANNON.Vec3(), orientation = new CANNON.Quaternion() }) => ({
+            shape,
+            offset,
+            orientation
+        }))
+    };
+
+    part.shapes.forEach(({ shape }) => {
+        if (surface) shape.surface = surface;
+        this.body.addShape(shape);
+    });
+    this.parts.add(part);
+    this.place(part);
+
+    // Only in the world while it has something to collide with
+    if (!this.body.world) this.physicsWorld.addBody(this.body);
+    return part;
+  }
+
+  move(part, position, quaternion) {
+    part.position.copy(position);
+    part.quaternion.copy(quaternion);
+    this.place(part);
+  }
+
+  remove(part) {
+    if (!this.parts.delete(part)) return;
+
+    part.shapes.forEach(({ shape }) => this.body.removeShape(shape));
+    if (this.parts.size === 0 && this.body.world) this.physicsWorld.removeBody(this.body);
+  }
+
+  // Shape offsets in the body from the part's transform (the body itself never rotates)
+  place(part) {
+    const body = this.body;
+    part.shapes.forEach(({ shape, offset, orientation }) => {
+        const index = body.shapes.indexOf(shape);
+        const shapeOffset = body.shapeOffsets[index];
+        part.quaternion.vmult(offset, shapeOffset);
+        shapeOffset.vadd(part.position, shapeOffset);
+        shapeOffset.vsub(body.position, shapeOffset);
+        part.quaternion.mult(orientation, body.shapeOrientations[index]);
+    });
+    body.updateBoundingRadius();
+    body.aabbNeedsUpdate = true;
+  }
+
+  dispose() {
+    if (this.body.world) this.physicsWorld.removeBody(this.body);
+    this.parts.clear();
+  }
+}
@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+
+// Time of day (game.dayNight): moves the sun and moon around the park and colors
+// the light, the sky and the fog to match. A full day takes tuning.sky.dayLength
+// seconds of game time, so it stops while paused and speeds up with the time scale.
+//
+// The sky is a gradient dome drawn behind everything; the fog takes the horizon
+// color so distant terrain melts into it. Underwater the water swaps in its own fog
+// and background (see WaterManager), and the dome steps aside.
+// Clouds (see Weather.js) grey the sky and dim the sun.
+// 'time:nightfall' and 'time:daybreak' go out as the sun crosses the horizon.
+export default class DayNight {
+  // Looks by sun height (sin of its elevation), blended between neighbours
+  static KEYS = [
+    { elevation: -0.3, zenith: 0x02040c, horizon: 0x0b1226, sun: 0xff7733, sunIntensity: 0, ambient: 0x7080c0, ambientIntensity: 0.15 },
+    { elevation: -0.05, zenith: 0x141c40, horizon: 0x4a3c5c, sun: 0xff7733, sunIntensity: 0, ambient: 0x8a80b0, ambientIntensity: 0.25 },
+    { elevation: 0.08, zenith: 0x2c5494, horizon: 0xf09a60, sun: 0xffa060, sunIntensity: 0.6, ambient: 0xffd0b0, ambientIntensity: 0.4 },
+    { elevation: 0.35, zenith: 0x3a8ee6, horizon: 0x87ceeb, sun: 0xffffff, sunIntensity: 1, ambient: 0xffffff, ambientIntensity: 0.6 }
+  ];
+
+  constructor(game) {
+    this.game = game;
+    this.scene = game.scene;
+    this.camera = game.camera;
+    this.tuning = game.tuning;
+
+    // The air's, mutated in place so the water's swap puts back the current colors
+    this.fog = game.scene.fog;
+    this.background = game.scene.background;
+
+    this.time = 10 / 24; // 0 is midnight, 0.5 noon
+    this.sunDirection = new THREE.Vector3();
+    this.look = { zenith: new THREE.Color(), horizon: new THREE.Color(), sun: new THREE.Color(), ambient: new THREE.Color() };
+    this.keyColors = DayNight.KEYS.map(key => ({
+        zenith: new THREE.Color(key.zenith),
+        horizon: new THREE.Color(key.horizon),
+        sun: new THREE.Color(key.sun),
+        ambient: new THREE.Color(key.ambient)
+    }));
+
+    this.createLights();
+    this.createSky();
+
+    this.updateSun();
+    this.isNight = this.sunDirection.y < 0;
+  }
+
+  // Hours, 0 to 24 (the tuning panel scrubs this)
+  get hour() {
+    return this.time * 24;
+  }
+
+  set hour(hour) {
+    this.time = THREE.MathUtils.euclideanModulo(hour / 24, 1);
+    this.updateSun();
+  }
+
+  createLights() {
+    this.ambient = new THREE.AmbientLight(0xffffff, 0.6);
+    this.scene.add(this.ambient);
+
+    // Follows the player so its shadows are always around them
+    this.sun = new THREE.DirectionalLight(0xffffff, 1);
+    this.sun.castShadow = true;
+    this.sun.shadow.mapSize.width = 2048;
+    this.sun.shadow.mapSize.height = 2048;
+    this.sun.shadow.camera.near = 0.5;
+    this.sun.shadow.camera.far = 100;
+    this.sun.shadow.camera.left = -25;
+    this.sun.shadow.camera.right = 25;
+    this.sun.shadow.camera.top = 25;
+    this.sun.shadow.camera.bottom = -25;
+    this.scene.add(this.sun, this.sun.target);
+
+    // Faint and shadowless
+    this.moon = new THREE.DirectionalLight(0x9fb4ff, 0);
+    this.scene.add(this.moon, this.moon.target);
+  }
+
+  createSky() {
+    // Unit sphere around the camera, drawn first and never in front of anything
+    this.skyMaterial = new THREE.ShaderMaterial({
+        uniforms: {
+            zenithColor: { value: new THREE.Color() },
+            horizonColor: { value: new THREE.Color() },
+            sunDirection: { value: this.sunDirection },
+            sunGlow: { value: new THREE.Color() }
+        },
+        vertexShader: `
+            varying vec3 vDirection;
+            void main() {
+                vDirection = position;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform vec3 zenithColor;
+            uniform vec3 horizonColor;
+            uniform vec3 sunDirection;
+            uniform vec3 sunGlow;
+            varying vec3 vDirection;
+            void main() {
+                vec3 direction = normalize(vDirection);
+                // Below the horizon stays the horizon color, like the fog
+                vec3 color = mix(horizonColor, zenithColor, sqrt(max(direction.y, 0.0)));
+                color += sunGlow * pow(max(dot(direction, sunDirection), 0.0), 8.0);
+                gl_FragColor = vec4(color, 1.0);
+                #include <colorspace_fragment>
+            }
+        `,
+        side: THREE.BackSide,
+        depthTest: false,
+        depthWrite: false,
+        fog: false
+    });
+    this.dome = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 16), this.skyMaterial);
+    this.dome.renderOrder = -1;
+    this.dome.frustumCulled = false;
+    this.scene.add(this.dome);
+
+    // Sun and moon discs, just inside the far plane
+    const disc = new THREE.SphereGeometry(1, 16, 8);
+    this.sunDisc = new THREE.Mesh(disc, new THREE.MeshBasicMaterial({ color: 0xfff4d6, fog: false }));
+    this.moonDisc = new THREE.Mesh(disc, new THREE.MeshBasicMaterial({ color: 0xdde4ff, fog: false }));
+    this.scene.add(this.sunDisc, this.moonDisc);
+  }
+
+  update(deltaTime) {
+    this.time = (this.time + deltaTime / this.tuning.sky.dayLength) % 1;
+    this.updateSun();
+
+    const night = this.sunDirection.y < 0;
+    if (night !== this.isNight) {
+        this.isNight = night;
+        this.game.events.emit(night ? 'time:nightfall' : 'time:daybreak', { hour: this.hour });
+    }
+  }
+
+  // Sun direction for the time, then every color and intensity that follows from it
+  updateSun() {
+    // Rises in the east (+X) at 6:00, sets in the west at 18:00, always a little south
+    const angle = (this.time - 0.25) * Math.PI * 2;
+    this.sunDirection.set(Math.cos(angle), Math.sin(angle), -0.35).normalize();
+    const elevation = this.sunDirection.y;
+
+    const look = this.blendKeys(elevation);
+    const cloud = this.game.weather?.cloud ?? 0;
+    if (cloud > 0) this.overcast(look, cloud);
+
+    this.sun.color.copy(look.sun);
+    this.sun.intensity = look.sunIntensity;
+    this.ambient.color.copy(look.ambient);
+    this.ambient.intensity = look.ambientIntensity;
+    this.moon.intensity = 0.25 * THREE.MathUtils.smoothstep(-elevation, 0, 0.2);
+
+    this.skyMaterial.uniforms.zenithColor.value.copy(look.zenith);
+    this.skyMaterial.uniforms.horizonColor.value.copy(look.horizon);
+    this.skyMaterial.uniforms.sunGlow.value.copy(look.sun).multiplyScalar(0.5 * look.sunIntensity);
+    this.fog.color.copy(look.horizon);
+    this.background.copy(look.horizon);
+  }
+
+  blendKeys(elevation) {
+    const keys = DayNight.KEYS;
+    let i = 0;
+    while (i < keys.length - 2 && elevation > keys[i + 1].elevation) i++;
+
+    const a = keys[i];
+    const b = keys[i + 1];
+    const t = THREE.MathUtils.clamp((elevation - a.elevation) / (b.elevation - a.elevation), 0, 1);
+    const look = this.look;
+    ['zenith', 'horizon', 'sun', 'ambient'].forEach(name => {
+        look[name].lerpColors(this.keyColors[i][name], this.keyColors[i + 1][name], t);
+    });
+    look.sunIntensity = THREE.MathUtils.lerp(a.sunIntensity, b.sunIntensity, t);
+    look.ambientIntensity = THREE.MathUtils.lerp(a.ambientIntensity, b.ambientIntensity, t);
+    return look;
+  }
+
+  // Washes the colors out toward grey and takes most of the sun away
+  overcast(look, cloud) {
+    const grey = this.grey ??= new THREE.Color();
+    ['zenith', 'horizon'].forEach(name => {
+        const color = look[name];
+        const luminance = 0.3 * color.r + 0.59 * color.g + 0.11 * color.b;
+        color.lerp(grey.setScalar(luminance), cloud * 0.8);
+    });
+    look.sunIntensity *= 1 - 0.75 * cloud;
+    look.ambientIntensity *= 1 - 0.25 * cloud;
+  }
+
+  // After the camera and the water: place the lights and sky around this frame's view
+  render() {
+    const camera = this.camera.position;
+    const player = this.game.player;
+    const editing = this.game.editor && this.game.editor.enabled;
+    const focus = player && !editing ? player.mesh.position : camera;
+
+    this.sun.target.position.copy(focus);
+    this.sun.position.copy(focus).addScaledVector(this.sunDirection, 50);
+    this.moon.target.position.copy(focus);
+    this.moon.position.copy(focus).addScaledVector(this.sunDirection, -50);
+
+    // The water's fog is in: we're under, no sky down there
+    this.dome.visible = this.scene.fog === this.fog;
+    this.dome.position.copy(camera);
+
+    // Only above the horizon, there's no telling what's in front of them down there
+    const distance = this.camera.far * 0.9;
+    this.sunDisc.visible = this.dome.visible && this.sunDirection.y > -0.05;
+    this.moonDisc.visible = this.dome.visible && this.sunDirection.y < 0.05;
+    this.sunDisc.position.copy(camera).addScaledVector(this.sunDirection, distance);
+    this.sunDisc.scale.setScalar(distance * 0.03);
+    this.moonDisc.position.copy(camera).addScaledVector(this.sunDirection, -distance);
+    this.moonDisc.scale.setScalar(distance * 0.02);
+  }
+
+  // Save game hooks
+  serialize() {
+    return { hour: this.hour };
+  }
+
+  restore(state) {
+    if (typeof state?.hour === 'number') this.hour = state.hour;
+    this.isNight = this.sunDirection.y < 0;
+  }
+
+  dispose() {
+    this.scene.remove(this.ambient, this.sun, this.sun.target, this.moon, this.moon.target);
+    this.scene.remove(this.dome, this.sunDisc, this.moonDisc);
+    this.dome.geometry.dispose();
+    this.skyMaterial.dispose();
+    this.sunDisc.geometry.dispose();
+    this.sunDisc.material.dispose();
+    this.moonDisc.material.dispose();
+  }
+}
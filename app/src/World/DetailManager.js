@@ -0,0 +1,151 @@
+import * as THREE from 'three';
+
+// Distance-based detail (game.world.detail), tuned by three player settings:
+//  - drawDistance: where the fog ends. Nothing is drawn past it (camera far plane,
+//    hidden scenery) and chunks stream in far enough to cover it.
+//  - detail: where trees and houses switch to their simple models.
+//  - wildlife: where fish and birds start thinking less often. Past the draw
+//    distance they're hidden and don't update at all.
+//
+// Instanced scenery (trees, rocks) registers its stand-in with a list of levels,
+// each a list of batches (see InstancedBatch.js): the stand-in is drawn by the
+// first level up close and by the second past the detail distance. Houses are THREE.LODs
+// whose levels are kept at these distances; the renderer switches them itself.
+export default class DetailManager {
+  static DRAW_DISTANCES = { near: 60, medium: 100, far: 150 };
+  static DETAIL_DISTANCES = { low: 20, medium: 35, high: 60 };
+  static WILDLIFE_DISTANCES = { low: 20, medium: 40, high: 70 };
+
+  constructor(game, world) {
+    this.game = game;
+    this.world = world;
+    this.camera = game.camera;
+    this.settings = game.settings;
+    this.fog = game.scene.fog; // The air's, the water swaps its own in and out
+
+    this.instances = new Set(); // { object, levels, color, level }
+    this.lods = new Set();
+
+    // Instanced levels are picked again after the camera moves this far, or this often
+    this.refreshDistance = 2;
+    this.refreshInterval = 0.5;
+    this.sinceRefresh = Infinity;
+    this.lastCameraPosition = new THREE.Vector3(Infinity, 0, 0);
+
+    this.farWildlifeInterval = 0.25; // Seconds between updates past the wildlife distance
+
+    this.applySettings();
+    this.offSettings = game.events.on('settings:changed', ({ key }) => {
+        if (key === 'drawDistance' || key === 'detail' || key === 'wildlife') this.applySettings();
+    });
+  }
+
+  applySettings() {
+    this.drawDistance = DetailManager.DRAW_DISTANCES[this.settings.get('drawDistance')];
+    this.detailDistance = DetailManager.DETAIL_DISTANCES[this.settings.get('detail')];
+    this.wildlifeDistance = DetailManager.WILDLIFE_DISTANCES[this.settings.get('wildlife')];
+
+    // Fully fogged at the draw distance, so the cut is invisible
+    this.fog.near = this.drawDistance * 0.2;
+    this.fog.far = this.drawDistance;
+    this.camera.far = this.drawDistance;
+    this.camera.updateProjectionMatrix();
+
+    this.world.setDrawDistance(this.drawDistance);
+    this.lods.forEach(lod => this.setLodDistances(lod));
+    this.sinceRefresh = Infinity; // Pick instance levels again next frame
+  }
+
+  // levels: [[batches up close], [batches past the detail distance]]; one level is
+  // used at every distance
+  addInstance(object, levels, color) {
+    const instance = { object, levels, color: color.clone(), level: -1 };
+    this.instances.add(instance);
+    this.setLevel(instance, this.getLevel(instance));
+    return instance;
+  }
+
+  removeInstance(instance) {
+    this.setLevel(instance, -1);
+    this.instances.delete(instance);
+  }
+
+  // After the stand-in moved (editor)
+  updateInstance(instance) {
+    this.setLevel(instance, this.getLevel(instance));
+    if (instance.level !== -1) {
+        instance.levels[instance.level].forEach(batch => batch.update(instance.object));
+    }
+  }
+
+  // Level index for the instance's distance to the camera, -1 when out of sight
+  getLevel(instance) {
+    const distance = instance.object.position.distanceTo(this.camera.position);
+    if (distance > this.drawDistance) return -1;
+    return distance > this.detailDistance ? instance.levels.length - 1 : 0;
+  }
+
+  setLevel(instance, level) {
+    if (level === instance.level) return;
+
+    if (instance.level !== -1) {
+        instance.levels[instance.level].forEach(batch => batch.remove(instance.object));
+    }
+    if (level !== -1) {
+        instance.levels[level].forEach(batch => batch.add(instance.object, instance.color));
+    }
+    instance.level = level;
+  }
+
+  // levels: the full model, then the simple one; an empty level hides it past the draw distance
+  addLod(lod) {
+    this.lods.add(lod);
+    this.setLodDistances(lod);
+  }
+
+  removeLod(lod) {
+    this.lods.delete(lod);
+  }
+
+  setLodDistances(lod) {
+    const levels = lod.levels;
+    if (levels.length > 1) levels[1].distance = this.detailDistance * 1.5; // Big, so they keep detail longer
+    if (levels.length > 2) levels[2].distance = this.drawDistance;
+  }
+
+  // Time to advance a creature by this tick: all of it near the camera, collected
+  // into bigger steps past the wildlife distance, and none past the draw distance,
+  // where it's hidden and suspended. creature.idle holds the time not yet used.
+  throttle(creature, deltaTime) {
+    const distance = creature.mesh.position.distanceTo(this.camera.position);
+    creature.mesh.visible = distance < this.drawDistance;
+    if (!creature.mesh.visible) {
+        creature.idle = 0;
+        return 0;
+    }
+
+    creature.idle += deltaTime;
+    if (distance > this.wildlifeDistance && creature.idle < this.farWildlifeInterval) return 0;
+
+    const step = creature.idle;
+    creature.idle = 0;
+    return step;
+  }
+
+  // After the camera moved for this frame
+  render(alpha, deltaTime) {
+    this.sinceRefresh += deltaTime;
+    const moved = this.camera.position.distanceTo(this.lastCameraPosition) > this.refreshDistance;
+    if (!moved && this.sinceRefresh < this.refreshInterval) return;
+
+    this.sinceRefresh = 0;
+    this.lastCameraPosition.copy(this.camera.position);
+    this.instances.forEach(instance => this.setLevel(instance, this.getLevel(instance)));
+  }
+
+  dispose() {
+    this.offSettings();
+    this.instances.clear();
+    this.lods.clear();
+  }
+}
@@ -0,0 +1,79 @@
+import * as THREE from 'three';
+
+// Links a placed scene object to its level descriptor and its physics bodies.
+// The editor moves `object`; sync() then carries the bodies along (keeping
+// each body's offset from the object) and writes the new transform back into
+// the descriptor, so saving the level picks it up.
+// Static scenery merged into a compound body passes its parts as `colliders`
+// instead (see CompoundCollider.js); they follow the object the same way.
+// Instanced scenery registers its stand-in (see InstancedBatch.js) as `object`
+// and copies the new transform into its batch from onSync.
+// Dragged into another chunk, the object is rebuilt there once let go (see
+// World.rechunkEditable), so it streams with the chunk it now sits in.
+export default class Editable {
+  // kind: 'tree' | 'rock' | 'house' | 'collectible'
+  constructor({ kind, data, object, bodies = [], colliders = [], rotatable = true, onSync = null, onRemove = null }) {
+    this.kind = kind;
+    this.data = data;
+    this.object = object;
+    this.bodies = bodies;
+    this.colliders = colliders;
+    this.rotatable = rotatable;
+    this.onSync = onSync;
+    this.onRemove = onRemove;
+    this.chunk = null;
+
+    object.userData.editable = this;
+    this.captureOffsets();
+  }
+
+  // Remember where each body (and collider) sits relative to the object
+  captureOffsets() {
+    this.object.updateWorldMatrix(true, false);
+    const inverse = this.object.matrixWorld.clone().invert();
+    const objectQuaternion = this.object.getWorldQuaternion(new THREE.Quaternion()).invert();
+
+    this.offsets = [...this.bodies, ...this.colliders].map(body => ({
+      position: new THREE.Vector3().copy(body.position).applyMatrix4(inverse),
+      quaternion: objectQuaternion.clone().multiply(new THREE.Quaternion().copy(body.quaternion))
+    }));
+  }
+
+  sync() {
+    this.object.updateWorldMatrix(true, false);
+    const quaternion = this.object.getWorldQuaternion(new THREE.Quaternion());
+    const position = new THREE.Vector3();
+    const bodyQuaternion = new THREE.Quaternion();
+
+    this.bodies.forEach((body, i) => {
+        position.copy(this.offsets[i].position).applyMatrix4(this.object.matrixWorld);
+        bodyQuaternion.copy(quaternion).multiply(this.offsets[i].quaternion);
+        body.position.set(position.x, position.y, position.z);
+        body.quaternion.set(bodyQuaternion.x, bodyQuaternion.y, bodyQuaternion.z, bodyQuaternion.w);
+        body.aabbNeedsUpdate = true;
+    });
+
+    this.colliders.forEach((collider, i) => {
+        const offset = this.offsets[this.bodies.length + i];
+        position.copy(offset.position).applyMatrix4(this.object.matrixWorld);
+        bodyQuaternion.copy(quaternion).multiply(offset.quaternion);
+        collider.compound.move(collider, position, bodyQuaternion);
+    });
+
+    this.data.position = this.object.position.toArray();
+    if (this.rotatable) {
+        const rotation = this.object.rotation;
+        this.data.rotation = [rotation.x, rotation.y, rotation.z];
+    }
+
+    if (this.onSync) this.onSync(this);
+  }
+
+  // Take the object and its bodies out of the scene and physics world
+  remove(physicsWorld) {
+    this.bodies.forEach(body => physicsWorld.removeBody(body));
+    this.colliders.forEach(collider => collider.compound.remove(collider));
+    if (this.object.parent) this.object.parent.remove(this.object);
+    if (this.onRemove) this.onRemove(this);
+  }
+}
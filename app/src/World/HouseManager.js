@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import Editable from './Editable.js';
 
 export default class HouseManager {
   constructor(game, world) {
@@ -8,29 +9,113 @@ export default class HouseManager {
     this.scene = game.scene;
     this.physicsWorld = game.physicsWorld;
     this.doors = [];
+    this.random = game.random.fork('houses');
+    this.houses = []; // Level descriptors of the built houses
+    this.shellMaterial = new THREE.MeshStandardMaterial({ color: 0xdddddd }); // Distant houses
+    // Window panes and door lamps, lit from dusk to dawn (see DayNight)
+    this.lampMaterial = new THREE.MeshStandardMaterial({ color: 0x2a2f38, emissive: 0xffc46b, emissiveIntensity: 0, side: THREE.DoubleSide });
+    this.lampsOn = false;
     
-    // Create random houses
-    this.createHouses(5);
+    // From the level file, or create random houses
+    const houses = world.level ? world.level.houses : this.generateHouses(5);
+    houses.forEach((house, index) => this.createHouse(house, index));
   }
 
-  createHouses(count) {
-    for (let i = 0; i < count; i++) {
+  generateHouses(count) {
+    const houses = [];
+    // Most random spots are too wet or steep, keep looking (within reason)
+    for (let attempt = 0; attempt < count * 20 && houses.length < count; attempt++) {
         // Find flat-ish spot (or flatten it)
-        const x = (Math.random() - 0.5) * 160;
-        const z = (Math.random() - 0.5) * 160;
+        const x = (this.random.next() - 0.5) * (this.world.terrainSize - 40);
+        const z = (this.random.next() - 0.5) * (this.world.terrainSize - 40);
         
-        // Check if underwater
-        const h = this.world.getTerrainHeightAt(x, z);
-        if (h < 0.5) continue; // Skip water/beaches
+        // Keep clear of the houses already placed
+        if (houses.some(house => Math.hypot(house.position[0] - x, house.position[2] - z) < 12)) continue;
 
-        // Flatten terrain logic is tricky post-creation. 
-        // We will just place it on stilts/foundation if needed or embed it.
-        // Or assume the builder flattened it (we can't easily modify heightfield after physics init without reloading)
-        // Let's place it at ground height and add a foundation block.
+        // Check the whole footprint: no water/beaches, and flat enough
+        // that the 1 unit foundation reaches the ground at every corner
+        const footprint = this.sampleFootprint(x, z, 3.5);
+        if (footprint.min < 0.5) continue; // Skip water/beaches
+        if (footprint.max - footprint.min > 1) continue; // Too steep
 
-        const floors = Math.random() > 0.5 ? 2 : 1;
-        this.buildHouse(x, h, z, floors);
+        // Sit on the highest corner so the floor is never buried
+        const h = footprint.max;
+
+        const floors = this.random.next() > 0.5 ? 2 : 1;
+
+        // Random chance for treasure
+        let treasure = null;
+        if (this.random.next() > 0.3) {
+            const type = this.random.next() > 0.5 ? 'gem' : 'gold';
+            treasure = { type, value: type === 'gem' ? 20 : 100 };
+        }
+
+        houses.push({ position: [x, h, z], floors, treasure });
     }
+    return houses;
+  }
+
+  // Build a house from its level descriptor: { position, floors, treasure: { type, value } | null }
+  createHouse(house, index) {
+    const [x, y, z] = this.world.resolvePosition(house.position);
+    const floors = house.floors ?? 1;
+    const id = house.id ?? `house:${index}`;
+
+    const { group, bodies, door } = this.buildHouse(x, y, z, floors);
+    if (door) door.id = id; // Saves refer to doors by their house
+
+    // Treasure in the house
+    const treasure = house.treasure ? this.spawnTreasure(x, y + 1, z, house.treasure, id) : null;
+
+    const data = { id, position: [x, y, z], floors, treasure: house.treasure ?? null };
+    this.houses.push(data);
+
+    // Houses only translate in the editor: walls and doors are axis aligned
+    const lastPosition = group.position.clone();
+    return this.world.addEditable(new Editable({
+        kind: 'house',
+        data,
+        object: group,
+        bodies,
+        rotatable: false,
+        onSync: () => {
+            const delta = group.position.clone().sub(lastPosition);
+            lastPosition.copy(group.position);
+
+            // The door body is driven from its hinge every frame
+            if (door) {
+                door.hingePos.vadd(delta, door.hingePos);
+                door.basePos.vadd(delta, door.basePos);
+            }
+            if (treasure && treasure.active) {
+                treasure.object.position.add(delta);
+                treasure.batch.update(treasure.object);
+                treasure.body.position.vadd(delta, treasure.body.position);
+                treasure.baseY += delta.y;
+            }
+        },
+        onRemove: () => {
+            this.doors = this.doors.filter(d => d !== door);
+            this.world.detail.removeLod(group);
+            if (treasure) this.game.collectibles.removeItems([treasure]);
+            this.houses.splice(this.houses.indexOf(data), 1);
+            group.traverse(object => {
+                if (object.isMesh) object.geometry.dispose();
+            });
+        }
+    }));
+  }
+
+  sampleFootprint(x, z, halfSize) {
+      let min = Infinity;
+      let max = -Infinity;
+      const sample = {};
+      for (const [dx, dz] of [[0, 0], [-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+          this.world.sampleTerrain(x + dx * halfSize, z + dz * halfSize, sample);
+          min = Math.min(min, sample.height);
+          max = Math.max(max, sample.height);
+      }
+      return { min, max };
   }
 
   buildHouse(x, y, z, floors) {
@@ -39,22 +124,29 @@ export default class HouseManager {
     const heightPerFloor = 3;
     const wallThickness = 0.2;
 
-    const houseGroup = new THREE.Group();
+    // Full model up close, a simple one further out, nothing past the draw distance
+    // (distances set by the world's DetailManager)
+    const houseGroup = new THREE.LOD();
     houseGroup.position.set(x, y, z);
+    const detailed = new THREE.Group();
+
+    // One static body for the whole house, a box shape per slab and wall panel
+    const body = new CANNON.Body({ mass: 0 });
+    body.position.set(x, y, z);
+    body.surface = 'wood';
+    const bodies = [body];
     
     // Foundation
     const foundationGeo = new THREE.BoxGeometry(width + 1, 1, depth + 1);
     const foundationMat = new THREE.MeshStandardMaterial({ color: 0x555555 });
     const foundation = new THREE.Mesh(foundationGeo, foundationMat);
     foundation.position.y = -0.5;
-    houseGroup.add(foundation);
+    detailed.add(foundation);
     
     // Physics for foundation
-    this.addBoxPhysics(x, y - 0.5, z, width + 1, 1, depth + 1);
-
-    // Create Treasure in the house
-    this.spawnTreasure(x, y + 1, z);
+    this.addBoxPhysics(body, 0, -0.5, 0, width + 1, 1, depth + 1, 'stone');
 
+    let door = null;
     for (let f = 0; f < floors; f++) {
         const floorY = f * heightPerFloor;
         
@@ -63,8 +155,8 @@ export default class HouseManager {
             const floorGeo = new THREE.BoxGeometry(width, 0.2, depth);
             const floor = new THREE.Mesh(floorGeo, foundationMat);
             floor.position.y = floorY;
-            houseGroup.add(floor);
-            this.addBoxPhysics(x, y + floorY, z, width, 0.2, depth);
+            detailed.add(floor);
+            this.addBoxPhysics(body, 0, floorY, 0, width, 0.2, depth);
         }
 
         // Walls
@@ -73,33 +165,40 @@ export default class HouseManager {
         
         // Front Wall (Z+)
         // Left Panel
-        this.buildWall(houseGroup, x, y + floorY, z, -width/2 + 1, 0, width/2, 2, heightPerFloor, wallThickness, 'front_left');
+        this.buildWall(detailed, body, floorY, -width/2 + 1, 0, width/2, 2, heightPerFloor, wallThickness, 'front_left');
         // Right Panel
-        this.buildWall(houseGroup, x, y + floorY, z, width/2 - 1, 0, width/2, 2, heightPerFloor, wallThickness, 'front_right');
+        this.buildWall(detailed, body, floorY, width/2 - 1, 0, width/2, 2, heightPerFloor, wallThickness, 'front_right');
         // Top Lintel (Door)
-        this.buildWall(houseGroup, x, y + floorY, z, 0, 2.5, width/2, 2, 0.5, wallThickness, 'front_top');
+        this.buildWall(detailed, body, floorY, 0, 2.5, width/2, 2, 0.5, wallThickness, 'front_top');
 
         // Back Wall (Z-) (Full with window)
         // Bottom
-        this.buildWall(houseGroup, x, y + floorY, z, 0, 0.5, -width/2, width, 1, wallThickness, 'back_bottom');
+        this.buildWall(detailed, body, floorY, 0, 0.5, -width/2, width, 1, wallThickness, 'back_bottom');
         // Top
-        this.buildWall(houseGroup, x, y + floorY, z, 0, 2.5, -width/2, width, 0.5, wallThickness, 'back_top');
+        this.buildWall(detailed, body, floorY, 0, 2.5, -width/2, width, 0.5, wallThickness, 'back_top');
         // Sides
-        this.buildWall(houseGroup, x, y + floorY, z, -2, 1.5, -width/2, 2, 1.5, wallThickness, 'back_left');
-        this.buildWall(houseGroup, x, y + floorY, z, 2, 1.5, -width/2, 2, 1.5, wallThickness, 'back_right');
+        this.buildWall(detailed, body, floorY, -2, 1.5, -width/2, 2, 1.5, wallThickness, 'back_left');
+        this.buildWall(detailed, body, floorY, 2, 1.5, -width/2, 2, 1.5, wallThickness, 'back_right');
 
         // Left Wall (X-)
-        this.buildWall(houseGroup, x, y + floorY, z, -width/2, 1.5, 0, wallThickness, heightPerFloor, depth, 'left');
+        this.buildWall(detailed, body, floorY, -width/2, 1.5, 0, wallThickness, heightPerFloor, depth, 'left');
 
         // Right Wall (X+)
-        this.buildWall(houseGroup, x, y + floorY, z, width/2, 1.5, 0, wallThickness, heightPerFloor, depth, 'right');
+        this.buildWall(detailed, body, floorY, width/2, 1.5, 0, wallThickness, heightPerFloor, depth, 'right');
 
         // Door (Ground floor only)
         if (f === 0) {
-            this.createDoor(houseGroup, x, y, z + width/2, 0);
+            door = this.createDoor(detailed, x, y, z + width/2, 0);
+            bodies.push(door.body);
         }
     }
 
+    // Lights: a pane in the back window, a lamp over the door
+    detailed.add(this.createWindowPane(width));
+    const lamp = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.3, 0.3), this.lampMaterial);
+    lamp.position.set(0, 2.5, width/2 + 0.25);
+    detailed.add(lamp);
+
     // Roof
     const roofHeight = 1.5;
     const roofGeo = new THREE.ConeGeometry(5, roofHeight, 4);
@@ -107,32 +206,48 @@ export default class HouseManager {
     const roofMat = new THREE.MeshStandardMaterial({ color: 0x8b4513 });
     const roof = new THREE.Mesh(roofGeo, roofMat);
     roof.position.y = floors * heightPerFloor + roofHeight / 2;
-    houseGroup.add(roof);
+    detailed.add(roof);
+
+    // Simple model: the walls as one box under the same roof
+    const simple = new THREE.Group();
+    const shellHeight = floors * heightPerFloor;
+    const shell = new THREE.Mesh(new THREE.BoxGeometry(width, shellHeight, depth), this.shellMaterial);
+    shell.position.y = shellHeight / 2;
+    const farRoof = new THREE.Mesh(roofGeo, roofMat);
+    farRoof.position.copy(roof.position);
+    simple.add(shell, farRoof, this.createWindowPane(width, 0.01));
+
+    houseGroup.addLevel(detailed, 0);
+    houseGroup.addLevel(simple, 0, 0.1);
+    houseGroup.addLevel(new THREE.Object3D(), 0, 0.1);
+    this.world.detail.addLod(houseGroup);
 
     this.scene.add(houseGroup);
+    this.physicsWorld.addBody(body);
+
+    return { group: houseGroup, bodies, door };
   }
 
-  spawnTreasure(x, y, z) {
-      // Random chance for treasure
-      if (Math.random() > 0.3) {
-          const type = Math.random() > 0.5 ? 'gem' : 'gold';
-          const value = type === 'gem' ? 20 : 100;
-          
-          let geo, mat, color;
-          if (type === 'gem') {
-              geo = new THREE.OctahedronGeometry(0.3);
-              color = 0xff00ff; // Purple gem for house
-          } else {
-              geo = new THREE.BoxGeometry(0.6, 0.2, 0.4);
-              color = 0xffd700;
-          }
-          mat = new THREE.MeshStandardMaterial({ color: color, emissive: 0x222222 });
-          
-          this.game.collectibles.createItem(geo, mat, type + "_house", value, x, y, z);
-      }
+  // Fills the hole in the back wall; out just past the wall for the simple model
+  createWindowPane(width, outset = 0) {
+      const pane = new THREE.Mesh(new THREE.PlaneGeometry(2, 1.25), this.lampMaterial);
+      pane.position.set(0, 1.625, -width/2 - outset);
+      return pane;
   }
 
-  buildWall(group, wx, wy, wz, lx, ly, lz, w, h, d, name) {
+  spawnTreasure(x, y, z, treasure, id) {
+      const collectibles = this.game.collectibles;
+      if (collectibles.collectedIds.has(id)) return null;
+
+      return collectibles.spawnItem({
+          id,
+          type: treasure.type + '_house',
+          value: treasure.value,
+          position: [x, y, z]
+      });
+  }
+
+  buildWall(group, body, floorY, lx, ly, lz, w, h, d, name) {
       // lx, ly, lz are local positions relative to house center
       const geo = new THREE.BoxGeometry(w, h, d);
       const mat = new THREE.MeshStandardMaterial({ color: 0xdddddd }); // White walls
@@ -142,16 +257,16 @@ export default class HouseManager {
       mesh.receiveShadow = true;
       group.add(mesh);
 
-      // Physics (World coords)
-      this.addBoxPhysics(wx + lx, wy + ly, wz + lz, w, h, d);
+      // Physics (in the house body, from the floor it's on)
+      this.addBoxPhysics(body, lx, floorY + ly, lz, w, h, d);
   }
 
-  addBoxPhysics(x, y, z, w, h, d) {
+  // Box shape at (x, y, z) from the house body's origin.
+  // surface: what the player's feet hear when it's not the body's (see CharacterController)
+  addBoxPhysics(body, x, y, z, w, h, d, surface = null) {
       const shape = new CANNON.Box(new CANNON.Vec3(w/2, h/2, d/2));
-      const body = new CANNON.Body({ mass: 0 });
-      body.addShape(shape);
-      body.position.set(x, y, z);
-      this.physicsWorld.addBody(body);
+      if (surface) shape.surface = surface;
+      body.addShape(shape, new CANNON.Vec3(x, y, z));
   }
 
   createDoor(group, hx, hy, hz, rotation) {
@@ -192,23 +307,32 @@ export default class HouseManager {
       const worldDoorZ = hz;
       
       body.position.set(worldDoorX, hy + 1.25, worldDoorZ);
+      body.surface = 'wood';
       body.addShape(shape);
       this.physicsWorld.addBody(body);
 
-      this.doors.push({
+      const door = {
           meshPivot: pivot,
           body: body,
           isOpen: false,
           basePos: new CANNON.Vec3(worldDoorX, hy + 1.25, worldDoorZ),
           hingePos: new CANNON.Vec3(hx, hy + 1.25, hz) // World pos of hinge
-      });
+      };
+      this.doors.push(door);
+      return door;
   }
 
   update(deltaTime) {
+      // Lamps on from dusk to dawn
+      const night = this.game.dayNight?.isNight ?? false;
+      if (night !== this.lampsOn) {
+          this.lampsOn = night;
+          this.lampMaterial.emissiveIntensity = night ? 1.5 : 0;
+      }
+
       // Handle Interactions
-      if (this.game.input.keys.interact) {
+      if (this.game.input.wasPressed('interact')) {
           this.checkInteractions();
-          this.game.input.keys.interact = false; // Consumer
       }
 
       // Animate Doors
@@ -242,6 +366,27 @@ export default class HouseManager {
       });
   }
 
+  // Save game hooks: only open doors are stored, closed is the default
+  serialize() {
+    const openDoors = this.doors.filter(door => door.isOpen).map(door => door.id);
+    return { openDoors };
+  }
+
+  restore(state) {
+    const openDoors = new Set(state.openDoors ?? []);
+    this.doors.forEach(door => {
+        door.isOpen = openDoors.has(door.id);
+        // Snap instead of swinging; update() moves the body to match
+        door.meshPivot.rotation.y = door.isOpen ? -Math.PI / 2 : 0;
+    });
+  }
+
+  dispose() {
+      [...this.world.editables]
+          .filter(editable => editable.kind === 'house')
+          .forEach(editable => this.world.removeEditable(editable));
+  }
+
   checkInteractions() {
       const playerPos = this.game.player.mesh.position;
       
@@ -260,6 +405,10 @@ export default class HouseManager {
 
       if (nearestDoor) {
           nearestDoor.isOpen = !nearestDoor.isOpen;
+          this.game.events.emit(nearestDoor.isOpen ? 'door:opened' : 'door:closed', {
+              door: nearestDoor.id,
+              position: nearestDoor.hingePos.clone()
+          });
       }
   }
 }
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+
+// Every copy of one shape (a geometry and material pair) drawn as a single InstancedMesh.
+// Each copy follows a stand-in Object3D that draws nothing itself: move the stand-in,
+// then update(object) to copy its world transform into the instance.
+//
+// Removing swaps the last copy into the gap, so instance ids don't stay put;
+// getObject(instanceId) turns a raycast hit back into its stand-in.
+// The mesh is rebuilt twice as large whenever it fills up.
+export default class InstancedBatch {
+  static WHITE = new THREE.Color(1, 1, 1);
+
+  // Geometry and material stay with the caller, they're often shared between batches
+  constructor(scene, geometry, material, { capacity = 64, castShadow = true, receiveShadow = true } = {}) {
+    this.scene = scene;
+    this.geometry = geometry;
+    this.material = material;
+    this.castShadow = castShadow;
+    this.receiveShadow = receiveShadow;
+
+    this.objects = []; // Stand-ins by instance index
+    this.indices = new Map(); // Stand-in -> instance index
+
+    this.mesh = this.createMesh(capacity);
+  }
+
+  get count() {
+    return this.objects.length;
+  }
+
+  createMesh(capacity) {
+    const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+    mesh.count = 0;
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    // Colors exist from the start, so the shader doesn't change with the first tint
+    mesh.setColorAt(0, InstancedBatch.WHITE);
+    mesh.castShadow = this.castShadow;
+    mesh.receiveShadow = this.receiveShadow;
+    mesh.userData.batch = this; // For the editor's picking
+    this.scene.add(mesh);
+    return mesh;
+  }
+
+  // color tints the material's, white keeps it as is
+  add(object, color = InstancedBatch.WHITE) {
+    if (this.indices.has(object)) return;
+    if (this.objects.length === this.mesh.instanceMatrix.count) this.grow();
+
+    const index = this.objects.length;
+    this.objects.push(object);
+    this.indices.set(object, index);
+    this.mesh.count = this.objects.length;
+
+    this.mesh.setColorAt(index, color);
+    this.mesh.instanceColor.needsUpdate = true;
+    this.update(object);
+  }
+
+  update(object) {
+    const index = this.indices.get(object);
+    if (index === undefined) return;
+
+    object.updateWorldMatrix(true, false);
+    this.mesh.setMatrixAt(index, object.matrixWorld);
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.boundingSphere = null; // Recomputed when next culled or picked
+  }
+
+  setColor(object, color) {
+    const index = this.indices.get(object);
+    if (index === undefined) return;
+
+    this.mesh.setColorAt(index, color);
+    this.mesh.instanceColor.needsUpdate = true;
+  }
+
+  remove(object) {
+    const index = this.indices.get(object);
+    if (index === undefined) return;
+
+    // Fill the gap with the last copy
+    const last = this.objects.length - 1;
+    if (index !== last) {
+        const moved = this.objects[last];
+        const matrices = this.mesh.instanceMatrix.array;
+        const colors = this.mesh.instanceColor.array;
+        matrices.copyWithin(index * 16, last * 16, last * 16 + 16);
+        colors.copyWithin(index * 3, last * 3, last * 3 + 3);
+        this.objects[index] = moved;
+        this.indices.set(moved, index);
+    }
+
+    this.objects.pop();
+    this.indices.delete(object);
+    this.mesh.count = this.objects.length;
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.instanceColor.needsUpdate = true;
+    this.mesh.boundingSphere = null;
+  }
+
+  // Stand-in drawn as instanceId, or null
+  getObject(instanceId) {
+    return this.objects[instanceId] ?? null;
+  }
+
+  grow() {
+    const old = this.mesh;
+    this.mesh = this.createMesh(old.instanceMatrix.count * 2);
+    this.mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+    this.mesh.instanceColor.array.set(old.instanceColor.array);
+    this.mesh.count = old.count;
+
+    this.scene.remove(old);
+    old.dispose();
+  }
+
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.dispose();
+    this.objects = [];
+    this.indices.clear();
+  }
+}
@@ -0,0 +1,72 @@
+// Level file: a JSON description of everything in the park.
+//
+// {
+//   "version": 1,
+//   "terrain": { "type": "procedural" | "image" | "data", "url", "size", "resolution", "verticalScale", ... },
+//   "waterLevel": -0.5,
+//   "water": [{ "position": [x, y, z], "level": 1, "radius": 30 }],
+//   "spawn": { "position": [x, y, z], "heading": 0 },
+//   "houses": [{ "position": [x, y, z], "floors": 1, "treasure": { "type": "gem" | "gold", "value": 20 } | null }],
+//   "trees": [{ "type": "pine" | "oak" | "bush", "position": [x, y, z], "rotation": [x, y, z] }],
+//   "rocks": [{ "position": [x, y, z], "rotation": [x, y, z], "radius": 0.75 }],
+//   "fish": [{ "position": [x, y, z], "speed": 2, "heading": 0 }],
+//   "birds": [{ "center": [x, y, z], "radius": 30, "speed": 6, "angle": 0 }],
+//   "collectibles": [{ "id": "gem-1", "type": "gem" | "gold" | "pearl", "value": 10, "position": [x, y, z] }]
+// }
+//
+// Positions are world units, rotations are Euler angles in radians.
+// A null y in a position means "on the ground" and is resolved when built.
+export default class Level {
+  static VERSION = 1;
+
+  static async load(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load level ${url}: ${response.status}`);
+    }
+    return Level.parse(await response.json());
+  }
+
+  // Validate a level object and fill in defaults
+  static parse(json) {
+    const version = json.version ?? Level.VERSION;
+    if (version > Level.VERSION) {
+        throw new Error(`Level version ${version} is newer than supported (${Level.VERSION})`);
+    }
+
+    return {
+      version: Level.VERSION,
+      seed: json.seed ?? null,
+      terrain: json.terrain ?? {},
+      waterLevel: json.waterLevel ?? -0.5,
+      water: json.water ?? [], // Ponds with their own level, on top of the detected ones
+      spawn: {
+        position: json.spawn?.position ?? [0, null, 0],
+        heading: json.spawn?.heading ?? 0
+      },
+      houses: json.houses ?? [],
+      trees: json.trees ?? [],
+      rocks: json.rocks ?? [],
+      fish: json.fish ?? [],
+      birds: json.birds ?? [],
+      // Ids identify collected items in save games, hand-written entries may skip them
+      collectibles: (json.collectibles ?? []).map((item, index) => ({
+        ...item,
+        id: item.id ?? `level:${index}`
+      }))
+    };
+  }
+
+  // Save a level as a .json file through the browser
+  static download(level, filename = 'level.json') {
+    const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,61 @@
+// Base for terrain authored as a grid of heights (images, data files).
+// The grid is stretched over the whole terrain and sampled bilinearly, so it
+// doesn't have to match the mesh resolution.
+export default class GridTerrainSource {
+  constructor(options = {}) {
+    this.url = options.url;
+    this.size = options.size ?? 200;
+    this.resolution = options.resolution ?? 128;
+    this.verticalScale = options.verticalScale ?? 1;
+    this.heightOffset = options.heightOffset ?? 0;
+
+    // Filled by load(): row-major, Z rows of X values
+    this.width = 0;
+    this.depth = 0;
+    this.heights = null;
+  }
+
+  async load() {
+    throw new Error(`${this.constructor.name} must implement load()`);
+  }
+
+  // Settings as stored in level files (the heights stay in the referenced file)
+  toJSON() {
+    return {
+      type: this.type,
+      url: this.url,
+      size: this.size,
+      resolution: this.resolution,
+      verticalScale: this.verticalScale,
+      heightOffset: this.heightOffset
+    };
+  }
+
+  setGrid(width, depth, heights) {
+    if (width < 2 || depth < 2 || heights.length !== width * depth) {
+        throw new Error(`Invalid terrain grid ${width}x${depth} (${heights.length} values) from ${this.url}`);
+    }
+    this.width = width;
+    this.depth = depth;
+    this.heights = heights;
+  }
+
+  getHeight(x, z) {
+    const halfSize = this.size / 2;
+
+    // World -> grid coordinates, clamped to the edge
+    const gx = Math.min(Math.max((x + halfSize) / this.size, 0), 1) * (this.width - 1);
+    const gz = Math.min(Math.max((z + halfSize) / this.size, 0), 1) * (this.depth - 1);
+    const ix = Math.min(Math.floor(gx), this.width - 2);
+    const iz = Math.min(Math.floor(gz), this.depth - 2);
+    const fx = gx - ix;
+    const fz = gz - iz;
+
+    const row0 = iz * this.width;
+    const row1 = row0 + this.width;
+    const h0 = this.heights[row0 + ix] * (1 - fx) + this.heights[row0 + ix + 1] * fx;
+    const h1 = this.heights[row1 + ix] * (1 - fx) + this.heights[row1 + ix + 1] * fx;
+
+    return (h0 * (1 - fz) + h1 * fz) * this.verticalScale + this.heightOffset;
+  }
+}
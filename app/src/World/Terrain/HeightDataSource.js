@@ -0,0 +1,63 @@
+import GridTerrainSource from './GridTerrainSource.js';
+
+// Height arrays from data files.
+//  .json -> { "width": 64, "depth": 64, "heights": [...] } (row-major, Z rows)
+//           or a plain array of rows: [[h, h, ...], [h, h, ...]]
+//  .f32  -> raw little-endian Float32 heights, square grid
+//  .r16 / .raw -> raw little-endian Uint16 heights, square grid, normalized to 0..1
+export default class HeightDataSource extends GridTerrainSource {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'data';
+    this.format = options.format ?? HeightDataSource.formatFromUrl(this.url);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), format: this.format };
+  }
+
+  static formatFromUrl(url) {
+    const extension = url.split('?')[0].split('.').pop().toLowerCase();
+    if (extension === 'json') return 'json';
+    if (extension === 'r16' || extension === 'raw') return 'uint16';
+    return 'float32';
+  }
+
+  async load() {
+    const response = await fetch(this.url);
+    if (!response.ok) {
+        throw new Error(`Failed to load terrain data ${this.url}: ${response.status}`);
+    }
+
+    if (this.format === 'json') {
+        this.loadJson(await response.json());
+    } else {
+        this.loadBinary(await response.arrayBuffer());
+    }
+    return this;
+  }
+
+  loadJson(json) {
+    if (Array.isArray(json)) {
+        this.setGrid(json[0].length, json.length, Float32Array.from(json.flat()));
+    } else {
+        this.setGrid(json.width, json.depth, Float32Array.from(json.heights));
+    }
+  }
+
+  loadBinary(buffer) {
+    const view = new DataView(buffer);
+    const bytesPerValue = this.format === 'uint16' ? 2 : 4;
+    const count = buffer.byteLength / bytesPerValue;
+    const side = Math.round(Math.sqrt(count));
+
+    const heights = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        heights[i] = this.format === 'uint16'
+            ? view.getUint16(i * 2, true) / 65535
+            : view.getFloat32(i * 4, true);
+    }
+
+    this.setGrid(side, side, heights);
+  }
+}
@@ -0,0 +1,32 @@
+import GridTerrainSource from './GridTerrainSource.js';
+
+// Grayscale heightmap image (PNG etc.): black = 0, white = verticalScale.
+// Top row of the image is the far (-Z) edge of the park.
+export default class HeightmapImageSource extends GridTerrainSource {
+  constructor(options = {}) {
+    super({ verticalScale: 10, ...options });
+    this.type = 'image';
+  }
+
+  async load() {
+    const image = new Image();
+    image.src = this.url;
+    await image.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0);
+    const pixels = context.getImageData(0, 0, image.width, image.height).data;
+
+    // Red channel is enough for grayscale
+    const heights = new Float32Array(image.width * image.height);
+    for (let i = 0; i < heights.length; i++) {
+        heights[i] = pixels[i * 4] / 255;
+    }
+
+    this.setGrid(image.width, image.height, heights);
+    return this;
+  }
+}
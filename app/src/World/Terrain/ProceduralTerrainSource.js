@@ -0,0 +1,48 @@
+// Default terrain: rolling sum-of-sines hills, low-frequency pond basins
+// and a flat area around the spawn point.
+export default class ProceduralTerrainSource {
+  constructor(options = {}) {
+    this.size = options.size ?? 200;
+    this.resolution = options.resolution ?? 128;
+    this.verticalScale = options.verticalScale ?? 1;
+    this.frequency = options.frequency ?? 15; // Wave cycles (radians) across the map
+    this.flatRadius = options.flatRadius ?? 16; // World units kept flat around the center
+  }
+
+  async load() {
+    return this;
+  }
+
+  // Settings as stored in level files
+  toJSON() {
+    return {
+      type: 'procedural',
+      size: this.size,
+      resolution: this.resolution,
+      verticalScale: this.verticalScale,
+      frequency: this.frequency,
+      flatRadius: this.flatRadius
+    };
+  }
+
+  getHeight(x, z) {
+    const halfSize = this.size / 2;
+    const xVal = ((x + halfSize) / this.size) * this.frequency;
+    const zVal = ((z + halfSize) / this.size) * this.frequency;
+
+    // Flatten center
+    if (Math.sqrt(x * x + z * z) < this.flatRadius) {
+        return 0; // Flat start
+    }
+
+    // Base terrain (Hills)
+    let height = Math.sin(xVal) * Math.cos(zVal) * 3 + Math.sin(xVal * 3 + zVal) * 1;
+
+    // Create deeper ponds using a larger low-frequency wave
+    // We subtract to make pits
+    const basin = Math.sin(xVal * 0.5) * Math.cos(zVal * 0.5) * 6;
+    height -= basin;
+
+    return height * this.verticalScale;
+  }
+}
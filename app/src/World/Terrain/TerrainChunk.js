@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import CompoundCollider from '../CompoundCollider.js';
+
+// One square tile of the streamed terrain.
+// Owns its mesh, heightfield body and everything spawned on it (scenery,
+// obstacle bodies, collectibles) so the whole tile can be thrown away at once.
+export default class TerrainChunk {
+  constructor(world, cx, cz) {
+    this.world = world;
+    this.scene = world.scene;
+    this.physicsWorld = world.physicsWorld;
+
+    // Placement and seeded random stream (shared with level export)
+    const area = world.getChunkArea(cx, cz);
+    this.cx = cx;
+    this.cz = cz;
+    this.key = area.key;
+    this.size = area.size;
+    this.originX = area.originX;
+    this.originZ = area.originZ;
+    this.random = area.random;
+
+    this.cells = world.chunkCells;
+    this.elementSize = world.elementSize;
+
+    // Scenery meshes live in this group, obstacle bodies in this list
+    this.group = new THREE.Group();
+    this.bodies = [];
+    // Rocks and trees: one static body for the whole tile
+    this.colliders = new CompoundCollider(this.physicsWorld, {
+        position: new CANNON.Vec3(this.originX, 0, this.originZ)
+    });
+    this.items = []; // Collectibles spawned here (owned by CollectiblesManager)
+    this.editables = []; // Editor links for the scenery and items above
+
+    this.createHeights();
+    this.createMesh();
+    this.createBody();
+
+    this.scene.add(this.group);
+  }
+
+  static key(cx, cz) {
+    return `${cx},${cz}`;
+  }
+
+  createHeights() {
+    // matrix[x][z] over cells + 1 vertices, so edges are shared with the neighbours
+    const source = this.world.terrainSource;
+    const verts = this.cells + 1;
+    this.heights = [];
+
+    for (let ix = 0; ix < verts; ix++) {
+        const column = new Array(verts);
+        for (let iz = 0; iz < verts; iz++) {
+            column[iz] = source.getHeight(
+                this.originX + ix * this.elementSize,
+                this.originZ + iz * this.elementSize
+            );
+        }
+        this.heights.push(column);
+    }
+  }
+
+  createMesh() {
+    const verts = this.cells + 1;
+
+    this.geometry = new THREE.PlaneGeometry(this.size, this.size, this.cells, this.cells);
+    this.geometry.rotateX(-Math.PI / 2);
+    // PlaneGeometry is centered, we want the tile to start at its origin
+    this.geometry.translate(this.size / 2, 0, this.size / 2);
+
+    const positions = this.geometry.attributes.position.array;
+    for (let iz = 0; iz < verts; iz++) {
+      for (let ix = 0; ix < verts; ix++) {
+        // Index corresponds to row-major (Z then X), Y component
+        positions[(iz * verts + ix) * 3 + 1] = this.heights[ix][iz];
+      }
+    }
+
+    // Split every cell along the same diagonal as CANNON.Heightfield so the
+    // rendered triangles are exactly the ones the physics collides with
+    this.geometry.setIndex(this.createIndex());
+    this.geometry.computeVertexNormals();
+
+    this.mesh = new THREE.Mesh(this.geometry, this.world.terrainMaterial);
+    this.mesh.position.set(this.originX, 0, this.originZ);
+    this.mesh.receiveShadow = true;
+    this.group.add(this.mesh);
+  }
+
+  createIndex() {
+    const verts = this.cells + 1;
+    const index = [];
+
+    for (let iz = 0; iz < this.cells; iz++) {
+      for (let ix = 0; ix < this.cells; ix++) {
+        const a = iz * verts + ix;           // (ix, iz)
+        const b = (iz + 1) * verts + ix;     // (ix, iz + 1)
+        const c = (iz + 1) * verts + ix + 1; // (ix + 1, iz + 1)
+        const d = iz * verts + ix + 1;       // (ix + 1, iz)
+
+        // Diagonal a-c
+        index.push(a, b, c);
+        index.push(a, c, d);
+      }
+    }
+    return index;
+  }
+
+  createBody() {
+    // The heightfield's second axis ends up pointing along -Z once rotated,
+    // so feed it each column reversed and anchor it at the tile's +Z edge
+    const data = this.heights.map(column => column.slice().reverse());
+    const shape = new CANNON.Heightfield(data, { elementSize: this.elementSize });
+
+    this.terrainBody = new CANNON.Body({ mass: 0 }); // Static
+    this.terrainBody.surface = 'grass'; // For footsteps, see CharacterController
+    this.terrainBody.addShape(shape);
+    this.terrainBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+    this.terrainBody.position.set(this.originX, 0, this.originZ + this.size);
+
+    this.addBody(this.terrainBody);
+  }
+
+  addBody(body) {
+    this.bodies.push(body);
+    this.physicsWorld.addBody(body);
+  }
+
+  dispose() {
+    this.bodies.forEach(body => this.physicsWorld.removeBody(body));
+    this.bodies = [];
+    this.colliders.dispose();
+
+    // Materials are shared between tiles, geometries are per tile
+    this.group.traverse(object => {
+        if (object.isMesh) object.geometry.dispose();
+    });
+    this.scene.remove(this.group);
+  }
+}
@@ -0,0 +1,37 @@
+import ProceduralTerrainSource from './ProceduralTerrainSource.js';
+import HeightmapImageSource from './HeightmapImageSource.js';
+import HeightDataSource from './HeightDataSource.js';
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp'];
+
+// Build and load a terrain source from options:
+//   { type: 'procedural' | 'image' | 'data', url, size, resolution, verticalScale, heightOffset }
+// type is guessed from the url when left out. A source that fails to load
+// falls back to the procedural terrain so the park still starts.
+export default async function createTerrainSource(options = {}) {
+  let type = options.type;
+  if (!type) {
+      if (!options.url) {
+          type = 'procedural';
+      } else {
+          const extension = options.url.split('?')[0].split('.').pop().toLowerCase();
+          type = IMAGE_EXTENSIONS.includes(extension) ? 'image' : 'data';
+      }
+  }
+
+  let source;
+  if (type === 'image') {
+      source = new HeightmapImageSource(options);
+  } else if (type === 'data') {
+      source = new HeightDataSource(options);
+  } else {
+      source = new ProceduralTerrainSource(options);
+  }
+
+  try {
+      return await source.load();
+  } catch (error) {
+      console.warn('Terrain source failed, using procedural terrain instead.', error);
+      return new ProceduralTerrainSource({ size: options.size, resolution: options.resolution });
+  }
+}
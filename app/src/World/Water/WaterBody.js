@@ -0,0 +1,14 @@
+// One pond: a flat surface at its own level over a set of terrain grid cells.
+// Detected ponds (terrain dipping under the park's water level) grow and shrink as
+// chunks stream; declared ones (level file "water" entries) are flood-filled once
+// from their seed position.
+export default class WaterBody {
+  constructor({ id, level, declared = null }) {
+    this.id = id;
+    this.level = level; // Surface height
+    this.declared = declared; // The level file entry, null for detected ponds
+
+    this.cells = new Set(); // Cell keys ("ix,iz") this pond covers
+    this.entries = new Set(); // Per-chunk surface meshes showing it (see WaterManager)
+  }
+}
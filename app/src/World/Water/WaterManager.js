@@ -0,0 +1,433 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import WaterBody from './WaterBody.js';
+import InstancedBatch from '../InstancedBatch.js';
+
+// Ponds (game.world.water): where the water is, what floats in it and how it looks from below.
+//
+// Terrain grid cells with a corner under the park's water level make up ponds, found
+// per chunk as it loads and joined across chunk edges. Level files can declare more,
+// each with its own surface level: { "position": [x, y, z], "level": 2, "radius": 30 }
+// fills the dip around position up to level, no further than radius.
+//
+// Every tick, dynamic bodies get buoyancy from the volume they have under the surface
+// (bounding sphere estimate) plus drag, and 'water:splash' goes out as they cross it.
+// The camera going under swaps in an underwater fog and tint.
+// addRipple() sends a ring spreading over the surface (rain drops, see Weather).
+export default class WaterManager {
+  static NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+  constructor(game, world) {
+    this.game = game;
+    this.world = world;
+    this.scene = game.scene;
+    this.physicsWorld = game.physicsWorld;
+
+    this.elementSize = world.elementSize;
+    this.defaultLevel = world.waterLevel; // Detected ponds fill up to here
+
+    this.bodies = new Set();
+    this.cells = new Map(); // Cell key -> WaterBody, for loaded chunks
+    this.chunkEntries = new Map(); // Chunk key -> [{ body, cells, mesh }]
+    this.nextId = 0;
+
+    this.material = new THREE.MeshStandardMaterial({
+        color: 0x0077be,
+        transparent: true,
+        opacity: 0.6,
+        side: THREE.DoubleSide // Seen from below when diving
+    });
+
+    // Floating
+    this.volumes = new WeakMap(); // Body -> volume of its shapes
+    this.submerged = new WeakMap(); // Body -> pond its center is in
+    this.splashMargin = 0.3; // Rise this far above the surface before counting as out
+
+    // Underwater look
+    this.underwater = false;
+    this.underwaterColor = new THREE.Color(0x0a4f6e);
+    this.underwaterFog = new THREE.Fog(this.underwaterColor, 0.5, 18);
+    this.tintElement = document.getElementById('underwater');
+
+    // Ripples: additive rings, faded out through their instance color
+    this.ripples = []; // { object, age, size }
+    this.rippleLifetime = 1; // Seconds
+    this.maxRipples = 200;
+    this.rippleFade = new THREE.Color();
+    this.rippleGeometry = new THREE.RingGeometry(0.85, 1, 24).rotateX(-Math.PI / 2);
+    this.rippleMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.35,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+    this.rippleBatch = new InstancedBatch(this.scene, this.rippleGeometry, this.rippleMaterial, { castShadow: false, receiveShadow: false });
+
+    this.declare(world.level?.water ?? []);
+  }
+
+  static cellKey(ix, iz) {
+    return `${ix},${iz}`;
+  }
+
+  // Level file ponds: flood-filled from the terrain source now, claimed as chunks load
+  declare(entries) {
+    this.declaredCells = new Map(); // Cell key -> WaterBody
+
+    entries.forEach((entry, index) => {
+        const body = new WaterBody({ id: `water:${index}`, level: entry.level, declared: entry });
+        const [x, , z] = entry.position;
+        this.floodFill(x, z, entry.level, entry.radius ?? 30).forEach(key => this.declaredCells.set(key, body));
+        this.bodies.add(body);
+    });
+  }
+
+  floodFill(x, z, level, radius) {
+    const startX = Math.floor(x / this.elementSize);
+    const startZ = Math.floor(z / this.elementSize);
+    const reach = Math.ceil(radius / this.elementSize);
+    const found = new Set();
+
+    if (this.getSourceLowest(startX, startZ) >= level) {
+        console.warn(`Water at (${x}, ${z}) is above its level ${level}, skipping it.`);
+        return found;
+    }
+
+    found.add(WaterManager.cellKey(startX, startZ));
+    const queue = [[startX, startZ]];
+    while (queue.length) {
+        const [ix, iz] = queue.pop();
+        WaterManager.NEIGHBOURS.forEach(([dx, dz]) => {
+            const nx = ix + dx;
+            const nz = iz + dz;
+            if (Math.abs(nx - startX) > reach || Math.abs(nz - startZ) > reach) return;
+
+            const key = WaterManager.cellKey(nx, nz);
+            if (found.has(key) || this.getSourceLowest(nx, nz) >= level) return;
+            found.add(key);
+            queue.push([nx, nz]);
+        });
+    }
+    return found;
+  }
+
+  // Lowest corner of a grid cell, straight from the terrain source
+  getSourceLowest(ix, iz) {
+    const source = this.world.terrainSource;
+    const size = this.elementSize;
+    return Math.min(
+        source.getHeight(ix * size, iz * size),
+        source.getHeight((ix + 1) * size, iz * size),
+        source.getHeight(ix * size, (iz + 1) * size),
+        source.getHeight((ix + 1) * size, (iz + 1) * size)
+    );
+  }
+
+  // Find the chunk's wet cells, attach them to ponds and build their surfaces.
+  // Runs before the chunk's scenery is placed, so placement sees the water.
+  addChunk(chunk) {
+    const cells = chunk.cells;
+    const heights = chunk.heights;
+    const baseX = chunk.cx * cells;
+    const baseZ = chunk.cz * cells;
+    const lowest = (lx, lz) => Math.min(heights[lx][lz], heights[lx + 1][lz], heights[lx][lz + 1], heights[lx + 1][lz + 1]);
+    const isDetected = (lx, lz) =>
+        !this.declaredCells.has(WaterManager.cellKey(baseX + lx, baseZ + lz)) && lowest(lx, lz) < this.defaultLevel;
+
+    const groups = new Map(); // WaterBody -> [[ix, iz]]
+    const add = (body, ix, iz) => {
+        if (!groups.has(body)) groups.set(body, []);
+        groups.get(body).push([ix, iz]);
+    };
+
+    const visited = new Set();
+    for (let lx = 0; lx < cells; lx++) {
+        for (let lz = 0; lz < cells; lz++) {
+            const declared = this.declaredCells.get(WaterManager.cellKey(baseX + lx, baseZ + lz));
+            if (declared) {
+                add(declared, baseX + lx, baseZ + lz);
+                continue;
+            }
+            if (visited.has(lx * cells + lz) || !isDetected(lx, lz)) continue;
+
+            // A new patch of water: fill it inside the chunk, noting ponds it touches next door
+            const patch = [];
+            const touching = new Set();
+            const stack = [[lx, lz]];
+            visited.add(lx * cells + lz);
+            while (stack.length) {
+                const [px, pz] = stack.pop();
+                patch.push([baseX + px, baseZ + pz]);
+
+                WaterManager.NEIGHBOURS.forEach(([dx, dz]) => {
+                    const nx = px + dx;
+                    const nz = pz + dz;
+                    if (nx < 0 || nz < 0 || nx >= cells || nz >= cells) {
+                        const other = this.cells.get(WaterManager.cellKey(baseX + nx, baseZ + nz));
+                        if (other && !other.declared) touching.add(other);
+                        return;
+                    }
+                    if (visited.has(nx * cells + nz) || !isDetected(nx, nz)) return;
+                    visited.add(nx * cells + nz);
+                    stack.push([nx, nz]);
+                });
+            }
+
+            const body = this.joinPonds([...touching]);
+            patch.forEach(([ix, iz]) => add(body, ix, iz));
+        }
+    }
+
+    const entries = [];
+    groups.forEach((list, found) => {
+        // A later patch may have joined this pond into another one
+        let body = found;
+        while (body.mergedInto) body = body.mergedInto;
+
+        const entry = { body, cells: [], mesh: this.createSurface(list, body.level) };
+        list.forEach(([ix, iz]) => {
+            const key = WaterManager.cellKey(ix, iz);
+            entry.cells.push(key);
+            body.cells.add(key);
+            this.cells.set(key, body);
+        });
+        body.entries.add(entry);
+        entries.push(entry);
+        this.scene.add(entry.mesh);
+    });
+    this.chunkEntries.set(chunk.key, entries);
+  }
+
+  // One pond out of the ones a new patch touches (a new pond if none)
+  joinPonds(ponds) {
+    if (ponds.length === 0) {
+        const body = new WaterBody({ id: `pond:${this.nextId++}`, level: this.defaultLevel });
+        this.bodies.add(body);
+        return body;
+    }
+
+    const [target, ...others] = ponds;
+    others.forEach(other => {
+        other.cells.forEach(key => {
+            target.cells.add(key);
+            this.cells.set(key, target);
+        });
+        other.entries.forEach(entry => {
+            entry.body = target;
+            target.entries.add(entry);
+        });
+        other.mergedInto = target;
+        this.bodies.delete(other);
+    });
+    return target;
+  }
+
+  removeChunk(chunk) {
+    const entries = this.chunkEntries.get(chunk.key) ?? [];
+    entries.forEach(entry => {
+        const body = entry.body;
+        entry.cells.forEach(key => {
+            this.cells.delete(key);
+            body.cells.delete(key);
+        });
+        body.entries.delete(entry);
+        if (!body.declared && body.entries.size === 0) this.bodies.delete(body);
+
+        this.scene.remove(entry.mesh);
+        entry.mesh.geometry.dispose();
+    });
+    this.chunkEntries.delete(chunk.key);
+  }
+
+  // One quad per cell at the surface; terrain above the level hides the overhang
+  createSurface(cells, level) {
+    const size = this.elementSize;
+    const positions = [];
+    const index = [];
+
+    cells.forEach(([ix, iz], i) => {
+        const x = ix * size;
+        const z = iz * size;
+        positions.push(x, level, z, x + size, level, z, x, level, z + size, x + size, level, z + size);
+        const a = i * 4;
+        index.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(index);
+    geometry.computeVertexNormals();
+    return new THREE.Mesh(geometry, this.material);
+  }
+
+  // The pond over (x, z), or null
+  getBodyAt(x, z) {
+    const key = WaterManager.cellKey(Math.floor(x / this.elementSize), Math.floor(z / this.elementSize));
+    return this.cells.get(key) ?? null;
+  }
+
+  getLevelAt(x, z) {
+    const body = this.getBodyAt(x, z);
+    return body ? body.level : null;
+  }
+
+  // The pond (x, y, z) is under the surface of, or null
+  getBodyContaining(x, y, z) {
+    const body = this.getBodyAt(x, z);
+    return body && y < body.level ? body : null;
+  }
+
+  // Per tick: buoyancy, drag and splashes for everything that moves
+  update(deltaTime) {
+    this.updateRipples(deltaTime);
+
+    const { waterDensity, waterDrag } = this.game.tuning.physics;
+    const gravity = -this.physicsWorld.gravity.y;
+
+    this.physicsWorld.bodies.forEach(body => {
+        if (body.type !== CANNON.Body.DYNAMIC) return;
+
+        const water = this.getBodyAt(body.position.x, body.position.z);
+        this.checkSplash(body, water);
+        if (!water) return;
+
+        const fraction = this.getSubmergedFraction(body, water.level);
+        if (fraction <= 0) return;
+
+        // The weight of the water pushed aside
+        body.force.y += waterDensity * gravity * this.getVolume(body) * fraction;
+
+        // Slowed by the part that's in the water
+        const drag = waterDrag * body.mass * fraction;
+        body.force.x -= body.velocity.x * drag;
+        body.force.y -= body.velocity.y * drag;
+        body.force.z -= body.velocity.z * drag;
+    });
+  }
+
+  // Share of a sphere around the body below the level (spherical cap volume)
+  getSubmergedFraction(body, level) {
+    const radius = body.boundingRadius || 0.5;
+    const depth = THREE.MathUtils.clamp(level - (body.position.y - radius), 0, 2 * radius);
+    return depth * depth * (3 * radius - depth) / (4 * radius ** 3);
+  }
+
+  getVolume(body) {
+    let volume = this.volumes.get(body);
+    if (volume === undefined) {
+        volume = body.shapes.reduce((sum, shape) => sum + this.getShapeVolume(shape), 0);
+        this.volumes.set(body, volume);
+    }
+    return volume;
+  }
+
+  // cannon's own estimate is a bounding box for convex shapes, way off for cylinders
+  getShapeVolume(shape) {
+    switch (shape.type) {
+        case CANNON.Shape.types.SPHERE:
+            return 4 / 3 * Math.PI * shape.radius ** 3;
+        case CANNON.Shape.types.BOX:
+            return 8 * shape.halfExtents.x * shape.halfExtents.y * shape.halfExtents.z;
+        case CANNON.Shape.types.CYLINDER: {
+            const { radiusTop: top, radiusBottom: bottom, height } = shape;
+            return Math.PI * height * (top * top + top * bottom + bottom * bottom) / 3;
+        }
+        default:
+            try {
+                return shape.volume();
+            } catch (error) {
+                return 0; // Planes, heightfields and the like don't float
+            }
+    }
+  }
+
+  checkSplash(body, water) {
+    const previous = this.submerged.get(body);
+    const y = body.position.y;
+
+    if (!previous) {
+        if (water && y < water.level) {
+            this.submerged.set(body, water);
+            this.splash(body, water, true);
+        }
+    } else if (water && y < water.level) {
+        this.submerged.set(body, water); // Swam across into a joined pond
+    } else if (!water || y > previous.level + this.splashMargin) {
+        this.submerged.delete(body);
+        this.splash(body, previous, false);
+    }
+  }
+
+  splash(body, water, entering) {
+    const position = body.position;
+    this.game.events.emit('water:splash', {
+        body,
+        water: water.id,
+        position: new CANNON.Vec3(position.x, water.level, position.z),
+        speed: Math.abs(body.velocity.y),
+        entering
+    });
+  }
+
+  // Per frame, once the camera has moved
+  render() {
+    const camera = this.game.camera.position;
+    const underwater = this.getBodyContaining(camera.x, camera.y, camera.z) !== null;
+    if (underwater !== this.underwater) this.setUnderwater(underwater);
+  }
+
+  // A ring of the given final radius at (x, z), if there's a pond there
+  addRipple(x, z, size = 0.6) {
+    const level = this.getLevelAt(x, z);
+    if (level === null || this.ripples.length >= this.maxRipples) return false;
+
+    const object = new THREE.Object3D();
+    object.position.set(x, level + 0.02, z);
+    object.scale.setScalar(0);
+    this.rippleBatch.add(object);
+    this.ripples.push({ object, age: 0, size });
+    return true;
+  }
+
+  updateRipples(deltaTime) {
+    this.ripples = this.ripples.filter(ripple => {
+        ripple.age += deltaTime;
+        const t = ripple.age / this.rippleLifetime;
+        if (t >= 1) {
+            this.rippleBatch.remove(ripple.object);
+            return false;
+        }
+
+        ripple.object.scale.setScalar(ripple.size * (0.2 + 0.8 * t));
+        this.rippleBatch.update(ripple.object);
+        this.rippleBatch.setColor(ripple.object, this.rippleFade.setScalar(1 - t));
+        return true;
+    });
+  }
+
+  setUnderwater(underwater) {
+    const scene = this.scene;
+    this.underwater = underwater;
+
+    if (underwater) {
+        this.airFog = scene.fog;
+        this.airBackground = scene.background;
+        scene.fog = this.underwaterFog;
+        scene.background = this.underwaterColor;
+    } else {
+        scene.fog = this.airFog;
+        scene.background = this.airBackground;
+    }
+    if (this.tintElement) this.tintElement.classList.toggle('visible', underwater);
+  }
+
+  dispose() {
+    if (this.underwater) this.setUnderwater(false);
+    [...this.chunkEntries.keys()].forEach(key => this.removeChunk({ key }));
+    this.material.dispose();
+    this.rippleBatch.dispose();
+    this.rippleGeometry.dispose();
+    this.rippleMaterial.dispose();
+  }
+}
@@ -0,0 +1,235 @@
+import * as THREE from 'three';
+
+// Weather (game.weather): drifts between clear, overcast, rain and fog, each for a
+// random while (tuning.weather), easing from one into the next over transitionTime.
+//
+// Gameplay reads the blended values, all 0..1: cloud (DayNight dims and greys the
+// sky with it), rain and fogDensity; isRaining once the rain has really set in. wind is a
+// horizontal vector in m/s that wanders and gusts: it sways the foliage and pushes
+// the birds around (see World.update). 'weather:changed' goes out as a new state
+// starts blending in.
+//
+// Rain is a box of streaks around the camera, rippling the ponds it falls on.
+// Fog and rain pull the air fog in from the draw distance (see DetailManager).
+export default class Weather {
+  static STATES = {
+    clear: { cloud: 0, rain: 0, fog: 0, wind: 2, weight: 4 },
+    overcast: { cloud: 1, rain: 0, fog: 0.2, wind: 4, weight: 3 },
+    rain: { cloud: 1, rain: 1, fog: 0.4, wind: 7, weight: 2 },
+    fog: { cloud: 0.6, rain: 0, fog: 1, wind: 1, weight: 1 }
+  };
+
+  constructor(game) {
+    this.game = game;
+    this.scene = game.scene;
+    this.camera = game.camera;
+    this.tuning = game.tuning;
+    this.world = game.world;
+    this.random = game.random.fork('weather');
+
+    this.fog = game.scene.fog; // The air's, mutated in place like DayNight does
+
+    this.current = 'clear';
+    this.remaining = this.pickDuration();
+    this.cloud = 0;
+    this.rain = 0;
+    this.fogDensity = 0;
+    this.windSpeed = Weather.STATES.clear.wind;
+    this.windAngle = this.random.next() * Math.PI * 2;
+    this.wind = new THREE.Vector3();
+    this.elapsed = 0;
+
+    this.windUniforms = {
+        windDirection: { value: new THREE.Vector2(1, 0) },
+        windStrength: { value: 0 },
+        windTime: { value: 0 }
+    };
+
+    this.createRain();
+    this.swayFoliage();
+    this.updateWind(0);
+  }
+
+  get state() {
+    return this.current;
+  }
+
+  // Start blending toward a state now (the tuning panel forces one with this)
+  set state(name) {
+    if (!Weather.STATES[name]) return;
+    this.remaining = this.pickDuration();
+    if (name === this.current) return;
+
+    const previous = this.current;
+    this.current = name;
+    this.game.events.emit('weather:changed', { state: name, previous });
+  }
+
+  get isRaining() {
+    return this.rain > 0.5;
+  }
+
+  pickDuration() {
+    const { minDuration, maxDuration } = this.tuning.weather;
+    return minDuration + this.random.next() * Math.max(maxDuration - minDuration, 0);
+  }
+
+  // Any other state, the common ones more often
+  pickNext() {
+    const names = Object.keys(Weather.STATES).filter(name => name !== this.current);
+    const total = names.reduce((sum, name) => sum + Weather.STATES[name].weight, 0);
+    let pick = this.random.next() * total;
+    return names.find(name => (pick -= Weather.STATES[name].weight) < 0) ?? names[0];
+  }
+
+  createRain() {
+    // Streaks in a box that follows the camera, drops leaving one side come in the other
+    this.rainCount = 3000;
+    this.rainSize = 40;
+    this.rainHeight = 24;
+    this.rainFallSpeed = 14;
+    this.rainStreak = 0.04; // Seconds of fall drawn
+    this.drops = new Float32Array(this.rainCount * 3);
+    for (let i = 0; i < this.drops.length; i += 3) {
+        this.drops[i] = (Math.random() - 0.5) * this.rainSize;
+        this.drops[i + 1] = (Math.random() - 0.5) * this.rainHeight;
+        this.drops[i + 2] = (Math.random() - 0.5) * this.rainSize;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.rainCount * 6), 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setDrawRange(0, 0);
+    this.rainMaterial = new THREE.LineBasicMaterial({ color: 0xaab4c8, transparent: true, opacity: 0.5, depthWrite: false });
+    this.rainMesh = new THREE.LineSegments(geometry, this.rainMaterial);
+    this.rainMesh.frustumCulled = false; // Always around the camera
+    this.scene.add(this.rainMesh);
+
+    this.ripplesDue = 0;
+  }
+
+  // Leaves and bushes lean with the wind, more toward the top, each instance in its own rhythm
+  swayFoliage() {
+    const uniforms = this.windUniforms;
+    const materials = this.world.treeMaterials;
+    this.swayingMaterials = [materials.pineLeaves, materials.oakLeaves, materials.bush];
+    this.swayingMaterials.forEach(material => {
+        material.onBeforeCompile = shader => {
+            Object.assign(shader.uniforms, uniforms);
+            shader.vertexShader = `
+                uniform vec2 windDirection;
+                uniform float windStrength;
+                uniform float windTime;
+            ` + shader.vertexShader.replace('#include <project_vertex>', `
+                vec4 mvPosition = vec4(transformed, 1.0);
+                float phase = 0.0;
+                #ifdef USE_INSTANCING
+                    mvPosition = instanceMatrix * mvPosition;
+                    phase = dot(instanceMatrix[3].xz, vec2(0.37, 0.61));
+                #endif
+                // Batches sit at the origin, so this is world space
+                float bend = clamp(transformed.y / 4.0, 0.0, 1.0);
+                float sway = windStrength * bend * bend * (0.7 + 0.3 * sin(windTime * 2.0 + phase));
+                mvPosition.xz += windDirection * sway;
+                mvPosition = modelViewMatrix * mvPosition;
+                gl_Position = projectionMatrix * mvPosition;
+            `);
+        };
+        material.customProgramCacheKey = () => 'wind';
+        material.needsUpdate = true;
+    });
+  }
+
+  update(deltaTime) {
+    this.remaining -= deltaTime;
+    if (this.remaining <= 0) this.state = this.pickNext();
+
+    // Every value eases toward the state's at the same pace
+    const target = Weather.STATES[this.current];
+    const rate = deltaTime / Math.max(this.tuning.weather.transitionTime, 0.01);
+    const approach = (value, goal) => value + THREE.MathUtils.clamp(goal - value, -rate, rate);
+    this.cloud = approach(this.cloud, target.cloud);
+    this.rain = approach(this.rain, target.rain);
+    this.fogDensity = approach(this.fogDensity, target.fog);
+    this.windSpeed = approach(this.windSpeed / 10, target.wind / 10) * 10; // Same pace up to 10 m/s
+
+    this.elapsed += deltaTime;
+    this.updateWind(deltaTime);
+    this.updateRain(deltaTime);
+  }
+
+  updateWind(deltaTime) {
+    // Slowly veering, with gusts on top
+    this.windAngle += Math.sin(this.elapsed * 0.05) * 0.05 * deltaTime;
+    const t = this.elapsed;
+    const gust = 1 + 0.35 * Math.sin(t * 0.7) * Math.sin(t * 1.9);
+    const speed = this.windSpeed * gust;
+    this.wind.set(Math.cos(this.windAngle) * speed, 0, Math.sin(this.windAngle) * speed);
+
+    this.windUniforms.windDirection.value.set(Math.cos(this.windAngle), Math.sin(this.windAngle));
+    this.windUniforms.windStrength.value = speed * 0.04; // Metres a 4 m tree top leans
+    this.windUniforms.windTime.value = t;
+  }
+
+  updateRain(deltaTime) {
+    const count = Math.round(this.rainCount * this.rain);
+    this.rainMesh.geometry.setDrawRange(0, count * 2);
+    if (count === 0) return;
+
+    const camera = this.camera.position;
+    const drops = this.drops;
+    const positions = this.rainMesh.geometry.attributes.position.array;
+    const fall = this.rainFallSpeed;
+
+    // Drops stay put in the world as the camera moves, wrapping to its box
+    const wrap = (value, center, size) => center + THREE.MathUtils.euclideanModulo(value - center + size / 2, size) - size / 2;
+    for (let i = 0; i < count; i++) {
+        const d = i * 3;
+        const x = drops[d] = wrap(drops[d] + this.wind.x * deltaTime, camera.x, this.rainSize);
+        const y = drops[d + 1] = wrap(drops[d + 1] - fall * deltaTime, camera.y, this.rainHeight);
+        const z = drops[d + 2] = wrap(drops[d + 2] + this.wind.z * deltaTime, camera.z, this.rainSize);
+        const p = i * 6;
+        positions[p] = x;
+        positions[p + 1] = y;
+        positions[p + 2] = z;
+        positions[p + 3] = x - this.wind.x * this.rainStreak;
+        positions[p + 4] = y + fall * this.rainStreak;
+        positions[p + 5] = z - this.wind.z * this.rainStreak;
+    }
+    this.rainMesh.geometry.attributes.position.needsUpdate = true;
+
+    // Rings where drops land on the ponds nearby; misses off the water are fine
+    const water = this.world.water;
+    this.ripplesDue += this.rain * 40 * deltaTime;
+    while (this.ripplesDue >= 1) {
+        this.ripplesDue--;
+        water.addRipple(
+            camera.x + (Math.random() - 0.5) * this.rainSize * 0.75,
+            camera.z + (Math.random() - 0.5) * this.rainSize * 0.75,
+            0.3 + Math.random() * 0.4
+        );
+    }
+  }
+
+  // After the water decided whether the camera is under, and before the sky follows
+  render() {
+    // No rain down there, the water's fog is in
+    this.rainMesh.visible = this.rain > 0 && this.scene.fog === this.fog;
+
+    // Fog banks and heavy rain close in the view
+    const draw = this.world.detail.drawDistance;
+    const thickness = Math.max(this.fogDensity, this.rain * 0.5);
+    this.fog.near = draw * 0.2 * (1 - thickness);
+    this.fog.far = draw * (1 - 0.7 * thickness);
+  }
+
+  dispose() {
+    this.scene.remove(this.rainMesh);
+    this.rainMesh.geometry.dispose();
+    this.rainMaterial.dispose();
+    this.swayingMaterials.forEach(material => {
+        delete material.onBeforeCompile; // Back to the prototype's
+        delete material.customProgramCacheKey;
+        material.needsUpdate = true;
+    });
+  }
+}
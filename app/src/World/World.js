@@ -1,264 +1,629 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import HouseManager from './HouseManager.js';
+import ProceduralTerrainSource from './Terrain/ProceduralTerrainSource.js';
+import TerrainChunk from './Terrain/TerrainChunk.js';
+import Level from './Level.js';
+import Editable from './Editable.js';
+import WaterManager from './Water/WaterManager.js';
+import InstancedBatch from './InstancedBatch.js';
+import DetailManager from './DetailManager.js';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import Random from '../Core/Random.js';
 
 export default class World {
-  constructor(game) {
+  // Tree types, in the order the procedural generator rolls them
+  static TREE_TYPES = ['pine', 'oak', 'bush'];
+
+  // Level lists (and chunk buckets) of the chunk-streamed editable kinds
+  static LEVEL_LISTS = { tree: 'trees', rock: 'rocks', collectible: 'collectibles' };
+
+  // options.level: a level file (see Level.js) to build from instead of generating content
+  constructor(game, options = {}) {
     this.game = game;
     this.scene = game.scene;
     this.physicsWorld = game.physicsWorld;
+    this.terrainSource = options.terrainSource ?? new ProceduralTerrainSource();
+    this.level = options.level ?? null;
 
-    this.objectsToUpdate = [];
     this.fish = [];
     this.birds = [];
+    this.editables = new Set(); // Placed objects the editor can pick (see Editable.js)
+
+    this.waterLevel = this.level?.waterLevel ?? -0.5; // Terrain dips below this become ponds
+    this.spawn = this.level?.spawn ?? { position: [0, null, 0], heading: 0 };
+    this.maxTreeSlope = THREE.MathUtils.degToRad(35);
+    this.fishMinDepth = 1;
+    this._sample = {}; // Scratch result for the single-value terrain queries
 
     this.createTerrain();
-    this.createWater();
-    this.createRocks();
-    this.createVegetation();
-    this.createFish();
-    this.createBirds();
+    this.game.systems.add(this.water, { name: 'water', priority: 40 }); // Renders after the camera moves
+    this.game.systems.add(this.detail, { name: 'detail', priority: 45 }); // Same, picks levels from where it went
+    this.createFish(this.level ? this.level.fish : this.generateFish());
+    this.createBirds(this.level ? this.level.birds : this.generateBirds());
     
-    // Houses
+    // Houses (door animation runs as its own system, after the world)
     this.houseManager = new HouseManager(this.game, this);
-    this.objectsToUpdate.push(this.houseManager);
+    this.game.systems.add(this.houseManager, { name: 'houses', priority: 15 });
+  }
+
+  // Take everything the world built out of the scene and physics world
+  dispose() {
+    this.game.systems.remove(this.houseManager);
+    this.chunks.forEach(chunk => this.unloadChunk(chunk));
+    this.game.systems.remove(this.water);
+    this.game.systems.remove(this.detail);
+    this.sceneryBatches.forEach(batch => batch.dispose());
+
+    [...this.fish.map(f => f.mesh), ...this.birds.map(b => b.mesh)].forEach(object => {
+        this.scene.remove(object);
+    });
+    this.fish = [];
+    this.birds = [];
   }
 
   createTerrain() {
-    // Parameters
-    this.terrainSize = 200; // Extended
-    this.terrainResolution = 128;
-    this.terrainMatrix = [];
-    
-    // Initialize matrix
-    for(let i=0; i<this.terrainResolution; i++) {
-        this.terrainMatrix.push(new Array(this.terrainResolution).fill(0));
+    // The source's size/resolution set the grid spacing and the authored area
+    // (where houses, fish and birds go). The terrain itself is streamed in
+    // square chunks around the player and extends past that area.
+    const source = this.terrainSource;
+    this.terrainSize = source.size;
+    this.elementSize = source.size / (source.resolution - 1);
+
+    // Chunk settings
+    this.chunkCells = 32; // Grid cells per chunk side
+    this.chunkSize = this.chunkCells * this.elementSize;
+    this.chunkBuildsPerFrame = 1; // Spread generation over frames while moving
+    this.chunks = new Map();
+
+    // Draw distance and scenery detail; sets how many chunks stay loaded
+    this.detail = new DetailManager(this.game, this);
+
+    // Shared by every chunk
+    this.terrainMaterial = new THREE.MeshStandardMaterial({ 
+        color: 0x3b8c3b,
+        flatShading: true,
+        roughness: 0.8
+    });
+    this.createSceneryBatches();
+
+    // Scenery per chunk (roughly the old fixed-map density)
+    this.rocksPerChunk = 3;
+    this.treesPerChunk = 6;
+
+    // Level content is handed to chunks as they load
+    if (this.level) this.bucketLevelContent();
+
+    // Ponds, found in each chunk as it loads (see WaterManager.js)
+    this.water = new WaterManager(this.game, this);
+
+    // Everything around the spawn point is ready before the first frame
+    this.updateChunks(this.spawn.position[0], this.spawn.position[2], Infinity);
+  }
+
+  // Rocks and trees are drawn instanced: one draw call per part, shared by every chunk.
+  // Part geometries are built around the object's origin (the tree's foot, the rock's
+  // center); rocks are a unit shape scaled by their radius.
+  createSceneryBatches() {
+    this.rockMaterial = new THREE.MeshStandardMaterial({ color: 0x808080 });
+    this.treeMaterials = {
+        pineTrunk: new THREE.MeshStandardMaterial({ color: 0x3d2817 }),
+        pineLeaves: new THREE.MeshStandardMaterial({ color: 0x1a472a }),
+        oakTrunk: new THREE.MeshStandardMaterial({ color: 0x5c4033 }),
+        oakLeaves: new THREE.MeshStandardMaterial({ color: 0x4a6741 }),
+        bush: new THREE.MeshStandardMaterial({ color: 0x6e8c3c })
+    };
+
+    const materials = this.treeMaterials;
+    const batch = (geometry, material) => new InstancedBatch(this.scene, geometry, material);
+
+    this.rockBatch = batch(new THREE.DodecahedronGeometry(1), this.rockMaterial);
+    this.treeBatches = {
+        pine: [
+            batch(new THREE.CylinderGeometry(0.2, 0.4, 1.5).translate(0, 0.75, 0), materials.pineTrunk),
+            batch(new THREE.ConeGeometry(1.2, 3, 8).translate(0, 2.5, 0), materials.pineLeaves)
+        ],
+        oak: [
+            batch(new THREE.CylinderGeometry(0.3, 0.4, 2).translate(0, 1, 0), materials.oakTrunk),
+            batch(new THREE.IcosahedronGeometry(1.5, 0).translate(0, 2.5, 0), materials.oakLeaves)
+        ],
+        bush: [
+            batch(new THREE.DodecahedronGeometry(1).scale(1.5, 1, 1.5).translate(0, 0.8, 0), materials.bush)
+        ]
+    };
+
+    // Past the detail distance: fewer sides, and a tree's parts in one mesh with a material each
+    const merged = (...geometries) => mergeGeometries(
+        geometries.map(geometry => geometry.index ? geometry.toNonIndexed() : geometry),
+        true
+    );
+    const farBatch = (geometry, material) => new InstancedBatch(this.scene, geometry, material, { castShadow: false });
+    this.farTreeBatches = {
+        pine: [farBatch(
+            merged(
+                new THREE.CylinderGeometry(0.2, 0.4, 1.5, 4).translate(0, 0.75, 0),
+                new THREE.ConeGeometry(1.2, 3, 4).translate(0, 2.5, 0)
+            ),
+            [materials.pineTrunk, materials.pineLeaves]
+        )],
+        oak: [farBatch(
+            merged(
+                new THREE.CylinderGeometry(0.3, 0.4, 2, 4).translate(0, 1, 0),
+                new THREE.OctahedronGeometry(1.5).translate(0, 2.5, 0)
+            ),
+            [materials.oakTrunk, materials.oakLeaves]
+        )],
+        bush: [farBatch(new THREE.OctahedronGeometry(1).scale(1.5, 1, 1.5).translate(0, 0.8, 0), materials.bush)]
+    };
+
+    this.sceneryBatches = [
+        this.rockBatch,
+        ...Object.values(this.treeBatches).flat(),
+        ...Object.values(this.farTreeBatches).flat()
+    ];
+  }
+
+  // Chunks kept around the player's chunk: enough to reach the draw distance (see DetailManager.js)
+  setDrawDistance(distance) {
+    this.chunkLoadRadius = Math.max(2, Math.ceil(distance / this.chunkSize));
+    this.chunkUnloadRadius = this.chunkLoadRadius + 1; // Hysteresis so border walking doesn't thrash
+  }
+
+  // Slight shade per object so copies of a shape don't all look the same.
+  // Seeded by where it was built, so a spot keeps its shade when its chunk comes back.
+  getTint(x, z, spread, target = new THREE.Color()) {
+    const random = new Random(`${x.toFixed(2)},${z.toFixed(2)}`);
+    const shade = random.range(1 - spread, 1 + spread);
+    return target.setRGB(
+        shade * random.range(1 - spread / 2, 1 + spread / 2),
+        shade,
+        shade * random.range(1 - spread / 2, 1 + spread / 2)
+    );
+  }
+
+  // Every instanced mesh the editor can pick from (see InstancedBatch.js)
+  getInstancedMeshes() {
+    const batches = [...this.sceneryBatches, ...(this.game.collectibles?.getBatches() ?? [])];
+    return batches.map(batch => batch.mesh);
+  }
+
+  // Sort the level's rocks, trees and loose collectibles by the chunk they sit in
+  bucketLevelContent() {
+    this.levelChunks = new Map();
+    const add = (list, entry) => this.getLevelBucket(this.getChunkKey(entry.position))[list].push(entry);
+
+    this.level.rocks.forEach(rock => add('rocks', rock));
+    this.level.trees.forEach(tree => add('trees', tree));
+    this.level.collectibles.forEach(item => add('collectibles', item));
+  }
+
+  // Key of the chunk a level position ([x, y, z]) falls in
+  getChunkKey(position) {
+    return TerrainChunk.key(Math.floor(position[0] / this.chunkSize), Math.floor(position[2] / this.chunkSize));
+  }
+
+  getLevelBucket(key) {
+    if (!this.levelChunks.has(key)) {
+        this.levelChunks.set(key, { rocks: [], trees: [], collectibles: [] });
     }
+    return this.levelChunks.get(key);
+  }
+
+  // Placement and seeded random stream of one chunk, without building it
+  getChunkArea(cx, cz) {
+    const key = TerrainChunk.key(cx, cz);
+    return {
+      cx,
+      cz,
+      key,
+      size: this.chunkSize,
+      originX: cx * this.chunkSize,
+      originZ: cz * this.chunkSize,
+      // Seeded per tile, so revisiting a tile rebuilds the same content
+      random: this.game.random.fork(`chunk:${key}`)
+    };
+  }
 
-    // Create visual geometry
-    this.geometry = new THREE.PlaneGeometry(this.terrainSize, this.terrainSize, this.terrainResolution - 1, this.terrainResolution - 1);
-    this.geometry.rotateX(-Math.PI / 2);
+  // Load chunks within chunkLoadRadius of (x, z), nearest first, and drop those past chunkUnloadRadius
+  updateChunks(x, z, maxBuilds = this.chunkBuildsPerFrame) {
+    const centerX = Math.floor(x / this.chunkSize);
+    const centerZ = Math.floor(z / this.chunkSize);
 
-    const positions = this.geometry.attributes.position.array;
+    this.chunks.forEach(chunk => {
+        const dist = Math.max(Math.abs(chunk.cx - centerX), Math.abs(chunk.cz - centerZ));
+        if (dist > this.chunkUnloadRadius) this.unloadChunk(chunk);
+    });
 
-    for (let iz = 0; iz < this.terrainResolution; iz++) {
-      for (let ix = 0; ix < this.terrainResolution; ix++) {
-        // Calculate height
-        const xVal = (ix / this.terrainResolution) * 15;
-        const zVal = (iz / this.terrainResolution) * 15;
-        
-        // Base terrain (Hills)
-        let height = Math.sin(xVal) * Math.cos(zVal) * 3 + Math.sin(xVal * 3 + zVal) * 1;
-        
-        // Create deeper ponds using a larger low-frequency wave
-        // We subtract to make pits
-        const basin = Math.sin(xVal * 0.5) * Math.cos(zVal * 0.5) * 6;
-        height -= basin;
-
-        // Flatten center
-        const centerX = this.terrainResolution / 2;
-        const centerZ = this.terrainResolution / 2;
-        const dist = Math.sqrt((ix - centerX)**2 + (iz - centerZ)**2);
-        if (dist < 10) {
-            height = 0; // Flat start
+    const missing = [];
+    const radius = this.chunkLoadRadius;
+    for (let cz = centerZ - radius; cz <= centerZ + radius; cz++) {
+        for (let cx = centerX - radius; cx <= centerX + radius; cx++) {
+            if (!this.chunks.has(TerrainChunk.key(cx, cz))) {
+                missing.push({ cx, cz, dist: (cx - centerX) ** 2 + (cz - centerZ) ** 2 });
+            }
         }
+    }
+    missing.sort((a, b) => a.dist - b.dist);
+    missing.slice(0, maxBuilds).forEach(({ cx, cz }) => this.loadChunk(cx, cz));
+  }
 
-        // Store in matrix: Cannon expects matrix[x][z]
-        this.terrainMatrix[ix][iz] = height;
+  loadChunk(cx, cz) {
+    const chunk = new TerrainChunk(this, cx, cz);
+    this.chunks.set(chunk.key, chunk);
+    this.water.addChunk(chunk);
 
-        // Store in geometry: Index corresponds to row-major (Z then X)
-        // Index = (iz * this.terrainResolution + ix) * 3 + 1 (Y component)
-        const index = (iz * this.terrainResolution + ix) * 3 + 1;
-        positions[index] = height;
-      }
-    }
-    
-    this.geometry.computeVertexNormals();
+    const content = this.level
+        ? this.levelChunks.get(chunk.key) ?? { rocks: [], trees: [], collectibles: [] }
+        : this.generateChunkContent(chunk);
 
-    // Material
-    const material = new THREE.MeshStandardMaterial({ 
-        color: 0x3b8c3b,
-        flatShading: true,
-        roughness: 0.8
+    content.rocks.forEach(rock => this.buildRock(chunk, rock));
+    content.trees.forEach(tree => this.buildTree(chunk, tree));
+    if (this.game.collectibles) this.game.collectibles.spawnChunkItems(chunk, content.collectibles);
+
+    return chunk;
+  }
+
+  unloadChunk(chunk) {
+    if (this.game.collectibles) this.game.collectibles.removeItems(chunk.items);
+    // Takes instanced scenery out of the shared batches (the chunk only owns its own meshes)
+    chunk.editables.forEach(editable => {
+        editable.remove(this.physicsWorld);
+        this.editables.delete(editable);
     });
+    this.water.removeChunk(chunk);
+    chunk.dispose();
+    this.chunks.delete(chunk.key);
+  }
+
+  getChunkAt(x, z) {
+    return this.chunks.get(TerrainChunk.key(Math.floor(x / this.chunkSize), Math.floor(z / this.chunkSize)));
+  }
+
+  // Switch a procedurally generated park over to level data (used by the editor).
+  // Chunks are rebuilt from the exported level, so only the authored area keeps scenery.
+  adoptLevel(level) {
+    this.level = level;
+    this.bucketLevelContent();
 
-    this.terrainMesh = new THREE.Mesh(this.geometry, material);
-    this.terrainMesh.receiveShadow = true;
-    this.scene.add(this.terrainMesh);
+    [...this.chunks.values()].forEach(chunk => this.unloadChunk(chunk));
+    const position = this.game.player ? this.game.player.body.position : { x: 0, z: 0 };
+    this.updateChunks(position.x, position.z, Infinity);
+  }
+
+  addEditable(editable, chunk = null) {
+    editable.chunk = chunk;
+    this.editables.add(editable);
+    if (chunk) chunk.editables.push(editable);
+    return editable;
+  }
 
-    // Physics Body
-    const shape = new CANNON.Heightfield(this.terrainMatrix, {
-      elementSize: this.terrainSize / (this.terrainResolution - 1)
+  // Delete a placed object: scene, physics and level data
+  removeEditable(editable) {
+    this.detachEditable(editable);
+
+    // Drop the descriptor from the level and from its chunk bucket
+    const listName = World.LEVEL_LISTS[editable.kind];
+    if (this.level && listName) {
+        [this.level, ...this.levelChunks.values()].forEach(container => {
+            const index = container[listName].indexOf(editable.data);
+            if (index !== -1) container[listName].splice(index, 1);
+        });
+    }
+  }
+
+  // Add a new descriptor to the level and build it if its chunk is loaded.
+  // Returns its Editable, or null when it lands in a chunk that isn't loaded.
+  placeObject(kind, data) {
+    if (kind === 'house') {
+        return this.houseManager.createHouse(data, this.houseManager.houses.length);
+    }
+
+    const listName = World.LEVEL_LISTS[kind];
+    this.level[listName].push(data);
+
+    const key = this.getChunkKey(data.position);
+    this.getLevelBucket(key)[listName].push(data);
+    return this.buildObject(kind, key, data);
+  }
+
+  // After the editor moved an object: if it crossed into another chunk, its descriptor
+  // goes to that chunk's bucket and the object is rebuilt there, so it streams with
+  // its new chunk. Returns the Editable standing for it now (null when the new chunk
+  // isn't loaded; it appears when that chunk does).
+  rechunkEditable(editable) {
+    const listName = World.LEVEL_LISTS[editable.kind];
+    if (!listName || !editable.chunk) return editable;
+
+    const key = this.getChunkKey(editable.data.position);
+    if (key === editable.chunk.key) return editable;
+
+    this.detachEditable(editable);
+    this.levelChunks.forEach(bucket => {
+        const index = bucket[listName].indexOf(editable.data);
+        if (index !== -1) bucket[listName].splice(index, 1);
     });
-    
-    const body = new CANNON.Body({ mass: 0 }); // Static
-    body.addShape(shape);
-    
-    // Rotate and position
-    body.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
-    body.position.set(-this.terrainSize / 2, 0, -this.terrainSize / 2); 
+    this.getLevelBucket(key)[listName].push(editable.data);
+    return this.buildObject(editable.kind, key, editable.data);
+  }
+
+  // Take an Editable out of the scene, physics and its chunk, leaving the level data alone
+  detachEditable(editable) {
+    editable.remove(this.physicsWorld);
+    this.editables.delete(editable);
 
-    this.physicsWorld.addBody(body);
+    const chunk = editable.chunk;
+    if (chunk) {
+        chunk.editables = chunk.editables.filter(e => e !== editable);
+        chunk.bodies = chunk.bodies.filter(body => !editable.bodies.includes(body));
+    }
   }
 
-  getTerrainHeightAt(x, z) {
-      const halfSize = this.terrainSize / 2;
-      
-      // Check bounds
-      if (x < -halfSize || x > halfSize || z < -halfSize || z > halfSize) {
-          return -100; // Out of bounds
+  // Build one descriptor into its chunk if that chunk is loaded; returns the Editable or null
+  buildObject(kind, key, data) {
+    const chunk = this.chunks.get(key);
+    if (!chunk) return null;
+    if (kind === 'tree') return this.buildTree(chunk, data);
+    if (kind === 'rock') return this.buildRock(chunk, data);
+
+    this.game.collectibles.spawnChunkItems(chunk, [data]);
+    return chunk.editables[chunk.editables.length - 1];
+  }
+
+  // Exact terrain query: height on the same triangle the heightfield uses,
+  // plus surface normal, slope (radians) and water info (the pond's level, or the
+  // park's where no pond is loaded).
+  // inBounds is false where no chunk is loaded (no physics ground there yet);
+  // the height still comes from the terrain source.
+  sampleTerrain(x, z, target = {}) {
+      const elementSize = this.elementSize;
+      const cells = this.chunkCells;
+
+      // Global grid coordinates
+      const gx = x / elementSize;
+      const gz = z / elementSize;
+      const ix = Math.floor(gx);
+      const iz = Math.floor(gz);
+      const fx = gx - ix;
+      const fz = gz - iz;
+
+      // All four corners of a cell belong to the same chunk
+      const cx = Math.floor(ix / cells);
+      const cz = Math.floor(iz / cells);
+      const chunk = this.chunks.get(TerrainChunk.key(cx, cz));
+      target.inBounds = chunk !== undefined;
+
+      let h00, h10, h01, h11;
+      if (chunk) {
+          const lx = ix - cx * cells;
+          const lz = iz - cz * cells;
+          h00 = chunk.heights[lx][lz];
+          h10 = chunk.heights[lx + 1][lz];
+          h01 = chunk.heights[lx][lz + 1];
+          h11 = chunk.heights[lx + 1][lz + 1];
+      } else {
+          const source = this.terrainSource;
+          h00 = source.getHeight(ix * elementSize, iz * elementSize);
+          h10 = source.getHeight((ix + 1) * elementSize, iz * elementSize);
+          h01 = source.getHeight(ix * elementSize, (iz + 1) * elementSize);
+          h11 = source.getHeight((ix + 1) * elementSize, (iz + 1) * elementSize);
       }
 
-      // Convert world coordinate to matrix index
-      const elementSize = this.terrainSize / (this.terrainResolution - 1);
-      
-      let ix = (x + halfSize) / elementSize;
-      let iz = (z + halfSize) / elementSize;
-      
-      const ix1 = Math.floor(ix);
-      const iz1 = Math.floor(iz);
-      
-      if (ix1 >= 0 && ix1 < this.terrainResolution && iz1 >= 0 && iz1 < this.terrainResolution) {
-           return this.terrainMatrix[ix1][iz1];
+      // Which side of the (ix, iz)-(ix + 1, iz + 1) diagonal are we on
+      let dhdx, dhdz;
+      if (fx > fz) {
+          dhdx = h10 - h00;
+          dhdz = h11 - h10;
+      } else {
+          dhdx = h11 - h01;
+          dhdz = h01 - h00;
       }
-      return 0;
+      target.height = h00 + fx * dhdx + fz * dhdz;
+
+      // Plane gradient -> normal
+      if (!target.normal) target.normal = new THREE.Vector3();
+      target.normal.set(-dhdx / elementSize, 1, -dhdz / elementSize).normalize();
+      target.slope = Math.acos(target.normal.y);
+
+      target.waterLevel = this.water?.getLevelAt(x, z) ?? this.waterLevel;
+      target.depth = target.waterLevel - target.height;
+      target.isUnderwater = target.depth > 0;
+
+      return target;
   }
 
-  createWater() {
-    const geometry = new THREE.PlaneGeometry(this.terrainSize, this.terrainSize);
-    geometry.rotateX(-Math.PI / 2);
-    const material = new THREE.MeshStandardMaterial({
-        color: 0x0077be,
-        transparent: true,
-        opacity: 0.6
-    });
-    const water = new THREE.Mesh(geometry, material);
-    water.position.y = -0.5; // Water level
-    this.scene.add(water);
+  getTerrainHeightAt(x, z) {
+      return this.sampleTerrain(x, z, this._sample).height;
+  }
+
+  getTerrainNormalAt(x, z, target = new THREE.Vector3()) {
+      return target.copy(this.sampleTerrain(x, z, this._sample).normal);
+  }
+
+  getTerrainSlopeAt(x, z) {
+      return this.sampleTerrain(x, z, this._sample).slope;
+  }
+
+  isUnderwaterAt(x, z) {
+      return this.sampleTerrain(x, z, this._sample).isUnderwater;
+  }
+
+  // Scenery for one chunk area, as level-format descriptors. Deterministic per area.
+  generateChunkContent(area) {
+    return {
+      rocks: this.generateRocks(area),
+      trees: this.generateTrees(area),
+      collectibles: this.game.collectibles ? this.game.collectibles.generateChunkItems(area, this) : []
+    };
   }
 
-  createRocks() {
+  generateRocks(area) {
+    const random = area.random;
+    const rocks = [];
+    const up = new THREE.Vector3(0, 1, 0);
+    const rotation = new THREE.Euler();
+
     // Add some random rocks
-    for(let i=0; i<40; i++) { // More rocks for larger map
-        const radius = (Math.random() * 0.5) + 0.5;
-        const geometry = new THREE.DodecahedronGeometry(radius);
-        const material = new THREE.MeshStandardMaterial({ color: 0x808080 });
-        const mesh = new THREE.Mesh(geometry, material);
-        
-        const x = (Math.random() - 0.5) * (this.terrainSize - 10);
-        const z = (Math.random() - 0.5) * (this.terrainSize - 10);
+    for(let i=0; i<this.rocksPerChunk; i++) {
+        const radius = (random.next() * 0.5) + 0.5;
+        const { x, z } = this.randomPointIn(area, 1);
         
-        const groundHeight = this.getTerrainHeightAt(x, z);
+        const ground = this.sampleTerrain(x, z);
         
         // Don't spawn underwater if too deep
-        if (groundHeight < -1) continue;
+        if (ground.depth > 0.5) continue;
 
-        const y = groundHeight + radius * 0.5; // Embed slightly
+        const y = ground.height + radius * 0.5; // Embed slightly
 
-        mesh.position.set(x, y, z);
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        this.scene.add(mesh);
+        // Settle into the hillside
+        rotation.setFromQuaternion(new THREE.Quaternion().setFromUnitVectors(up, ground.normal));
 
-        // Physics
-        const shape = new CANNON.Sphere(radius);
-        const body = new CANNON.Body({ mass: 0 }); // Static obstacles
-        body.addShape(shape);
-        body.position.set(x, y, z);
-        this.physicsWorld.addBody(body);
+        rocks.push({ position: [x, y, z], rotation: [rotation.x, rotation.y, rotation.z], radius });
     }
+    return rocks;
   }
 
-  createVegetation() {
+  generateTrees(area) {
+    const random = area.random;
+    const trees = [];
+
     // Simple tree placeholders
-    for(let i=0; i<80; i++) { // More trees
-        const x = (Math.random() - 0.5) * (this.terrainSize - 10);
-        const z = (Math.random() - 0.5) * (this.terrainSize - 10);
+    for(let i=0; i<this.treesPerChunk; i++) {
+        const { x, z } = this.randomPointIn(area, 1);
         
         // Don't place near center
         if(Math.abs(x) < 5 && Math.abs(z) < 5) continue;
 
-        const groundHeight = this.getTerrainHeightAt(x, z);
-        
-        // Remove trees from inside ponds
-        if (groundHeight < -0.5) continue;
-
-        const y = groundHeight; 
-        const type = Math.floor(Math.random() * 3);
-        const treeGroup = new THREE.Group();
-
-        if (type === 0) {
-            // Pine
-            const trunkGeo = new THREE.CylinderGeometry(0.2, 0.4, 1.5);
-            const trunkMat = new THREE.MeshStandardMaterial({ color: 0x3d2817 });
-            const trunk = new THREE.Mesh(trunkGeo, trunkMat);
-            trunk.position.y = 0.75;
-            
-            const leavesGeo = new THREE.ConeGeometry(1.2, 3, 8);
-            const leavesMat = new THREE.MeshStandardMaterial({ color: 0x1a472a });
-            const leaves = new THREE.Mesh(leavesGeo, leavesMat);
-            leaves.position.y = 2.5;
-
-            treeGroup.add(trunk);
-            treeGroup.add(leaves);
-            
-            // Physics
-            const shape = new CANNON.Cylinder(0.3, 0.3, 2, 8);
-            const body = new CANNON.Body({ mass: 0 });
-            body.addShape(shape, new CANNON.Vec3(0, 1, 0));
-            body.position.set(x, y, z);
-            this.physicsWorld.addBody(body);
-
-        } else if (type === 1) {
-            // Round Oak
-            const trunkGeo = new THREE.CylinderGeometry(0.3, 0.4, 2);
-            const trunkMat = new THREE.MeshStandardMaterial({ color: 0x5c4033 });
-            const trunk = new THREE.Mesh(trunkGeo, trunkMat);
-            trunk.position.y = 1;
-            
-            const leavesGeo = new THREE.IcosahedronGeometry(1.5, 0);
-            const leavesMat = new THREE.MeshStandardMaterial({ color: 0x4a6741 });
-            const leaves = new THREE.Mesh(leavesGeo, leavesMat);
-            leaves.position.y = 2.5;
-
-            treeGroup.add(trunk);
-            treeGroup.add(leaves);
-
-            // Physics
-            const shape = new CANNON.Cylinder(0.4, 0.4, 2, 8);
-            const body = new CANNON.Body({ mass: 0 });
-            body.addShape(shape, new CANNON.Vec3(0, 1, 0));
-            body.position.set(x, y, z);
-            this.physicsWorld.addBody(body);
-
-        } else {
-            // Bush
-            const leavesGeo = new THREE.DodecahedronGeometry(1);
-            const leavesMat = new THREE.MeshStandardMaterial({ color: 0x6e8c3c });
-            const leaves = new THREE.Mesh(leavesGeo, leavesMat);
-            leaves.position.y = 0.8;
-            leaves.scale.set(1.5, 1, 1.5);
-            
-            treeGroup.add(leaves);
-
-            // Physics (smaller)
-            const shape = new CANNON.Sphere(0.8);
-            const body = new CANNON.Body({ mass: 0 });
-            body.addShape(shape, new CANNON.Vec3(0, 0.8, 0));
-            body.position.set(x, y, z);
-            this.physicsWorld.addBody(body);
-        }
+        const ground = this.sampleTerrain(x, z);
         
-        treeGroup.position.set(x, y, z); 
-        treeGroup.castShadow = true;
-        this.scene.add(treeGroup);
+        // Remove trees from inside ponds and off cliffs
+        if (ground.isUnderwater) continue;
+        if (ground.slope > this.maxTreeSlope) continue;
+
+        const type = World.TREE_TYPES[Math.floor(random.next() * 3)];
+        trees.push({ type, position: [x, ground.height, z] });
     }
+    return trees;
   }
-  
-  createFish() {
-      const fishColor = 0xff8800;
+
+  // Random point inside a chunk area, keeping a margin from the edges
+  randomPointIn(area, margin = 0) {
+    return {
+      x: area.originX + margin + area.random.next() * (area.size - margin * 2),
+      z: area.originZ + margin + area.random.next() * (area.size - margin * 2)
+    };
+  }
+
+  // Level positions may leave y as null: "on the ground"
+  resolvePosition(position, offset = 0) {
+    const [x, y, z] = position;
+    return [x, y ?? this.getTerrainHeightAt(x, z) + offset, z];
+  }
+
+  buildRock(chunk, rock) {
+    const [x, y, z] = this.resolvePosition(rock.position);
+    const radius = rock.radius ?? 0.75;
+
+    // Stand-in the editor moves, drawn by the rock batch
+    const object = new THREE.Object3D();
+    object.position.set(x, y, z);
+    if (rock.rotation) object.rotation.set(...rock.rotation);
+    object.scale.setScalar(radius);
+    chunk.group.add(object);
+    // Drawn by the rock batch while in sight
+    const instance = this.detail.addInstance(object, [[this.rockBatch]], this.getTint(x, z, 0.15));
+
+    // Physics (static, part of the chunk's compound body)
+    const collider = chunk.colliders.add({
+        position: object.position,
+        shapes: [{ shape: new CANNON.Sphere(radius) }],
+        surface: 'rock'
+    });
+
+    return this.addEditable(new Editable({
+        kind: 'rock',
+        data: rock,
+        object,
+        colliders: [collider],
+        onSync: () => this.detail.updateInstance(instance),
+        onRemove: () => this.detail.removeInstance(instance)
+    }), chunk);
+  }
+
+  buildTree(chunk, tree) {
+    const [x, y, z] = this.resolvePosition(tree.position);
+    const type = this.treeBatches[tree.type] ? tree.type : 'bush';
+
+    let shape;
+    if (tree.type === 'pine') {
+        shape = { shape: new CANNON.Cylinder(0.3, 0.3, 2, 8), offset: new CANNON.Vec3(0, 1, 0) };
+    } else if (tree.type === 'oak') {
+        shape = { shape: new CANNON.Cylinder(0.4, 0.4, 2, 8), offset: new CANNON.Vec3(0, 1, 0) };
+    } else {
+        // Bush (smaller)
+        shape = { shape: new CANNON.Sphere(0.8), offset: new CANNON.Vec3(0, 0.8, 0) };
+    }
+
+    // Stand-in the editor moves; every part of the tree is drawn from it,
+    // by the full or the simple model depending on the distance
+    const object = new THREE.Object3D();
+    object.position.set(x, y, z);
+    if (tree.rotation) object.rotation.set(...tree.rotation);
+    chunk.group.add(object);
+    const levels = [this.treeBatches[type], this.farTreeBatches[type]];
+    const instance = this.detail.addInstance(object, levels, this.getTint(x, z, 0.12));
+
+    // Physics (static, part of the chunk's compound body)
+    const collider = chunk.colliders.add({
+        position: object.position,
+        quaternion: object.quaternion,
+        shapes: [shape],
+        surface: tree.type === 'pine' || tree.type === 'oak' ? 'wood' : 'leaves'
+    });
+
+    return this.addEditable(new Editable({
+        kind: 'tree',
+        data: tree,
+        object,
+        colliders: [collider],
+        onSync: () => this.detail.updateInstance(instance),
+        onRemove: () => this.detail.removeInstance(instance)
+    }), chunk);
+  }
+
+  generateFish() {
+      const random = this.game.random.fork('fish');
+      const fish = [];
       
       for(let i=0; i<40; i++) {
+          // Find a water spot
+          let x, z, ground;
+          let attempts = 0;
+          do {
+             x = (random.next() - 0.5) * (this.terrainSize - 10);
+             z = (random.next() - 0.5) * (this.terrainSize - 10);
+             ground = this.sampleTerrain(x, z);
+             attempts++;
+          } while ((ground.depth < this.fishMinDepth) && attempts < 20); 
+          
+          if (ground.depth >= this.fishMinDepth) {
+              // Varied depth, but never inside the pond floor
+              const y = Math.max(ground.height + 0.3, ground.waterLevel - 0.5 - random.next());
+              fish.push({
+                  position: [x, y, z],
+                  speed: 1 + random.next() * 2,
+                  heading: random.next() * Math.PI * 2
+              });
+          }
+      }
+      return fish;
+  }
+
+  createFish(list) {
+      const fishColor = 0xff8800;
+      // Seeded, so fish steer the same way every run (also used in update)
+      const random = this.fishRandom = this.game.random.fork('fish:swim');
+      
+      list.forEach(fish => {
           const group = new THREE.Group();
           
           // Body
@@ -275,34 +640,45 @@ export default class World {
           tail.position.x = -0.25;
           group.add(tail);
 
-          // Find a water spot
-          let x, z, h;
-          let attempts = 0;
-          do {
-             x = (Math.random() - 0.5) * (this.terrainSize - 10);
-             z = (Math.random() - 0.5) * (this.terrainSize - 10);
-             h = this.getTerrainHeightAt(x, z);
-             attempts++;
-          } while ((h > -1.5) && attempts < 20); 
+          group.position.set(...fish.position);
+          this.scene.add(group);
           
-          if (h <= -1.5) {
-              group.position.set(x, -1 - Math.random(), z); // Varied depth
-              this.scene.add(group);
-              
-              this.fish.push({
-                  mesh: group,
-                  speed: 1 + Math.random() * 2,
-                  direction: new THREE.Vector3(Math.random()-0.5, 0, Math.random()-0.5).normalize(),
-                  changeTime: Math.random() * 5
-              });
-          }
+          const heading = fish.heading ?? 0;
+          this.fish.push({
+              mesh: group,
+              speed: fish.speed ?? 2,
+              direction: new THREE.Vector3(Math.cos(heading), 0, Math.sin(heading)),
+              changeTime: random.next() * 5,
+              baseY: group.position.y, // Where it swims unless it comes up for the rain
+              idle: 0 // See DetailManager.throttle
+          });
+      });
+  }
+
+  generateBirds() {
+      const random = this.game.random.fork('birds');
+      const birds = [];
+      
+      for(let i=0; i<15; i++) {
+          // Position high up
+          const x = (random.next() - 0.5) * this.terrainSize;
+          const z = (random.next() - 0.5) * this.terrainSize;
+          const y = 20 + random.next() * 10;
+          
+          birds.push({
+              center: [x, y, z], // Orbit center
+              speed: 5 + random.next() * 3,
+              angle: random.next() * Math.PI * 2,
+              radius: 20 + random.next() * 20
+          });
       }
+      return birds;
   }
 
-  createBirds() {
+  createBirds(list) {
       const birdColor = 0xffffff;
       
-      for(let i=0; i<15; i++) {
+      list.forEach(bird => {
           const group = new THREE.Group();
           
           // Simple Bird (V shape)
@@ -316,50 +692,132 @@ export default class World {
           const wings = new THREE.Mesh(wingsGeo, mat);
           group.add(wings);
 
-          // Position high up
-          const x = (Math.random() - 0.5) * this.terrainSize;
-          const z = (Math.random() - 0.5) * this.terrainSize;
-          const y = 20 + Math.random() * 10;
-          
+          const [x, y, z] = bird.center;
           group.position.set(x, y, z);
           this.scene.add(group);
           
           this.birds.push({
               mesh: group,
-              speed: 5 + Math.random() * 3,
-              angle: Math.random() * Math.PI * 2,
+              speed: bird.speed ?? 6,
+              angle: bird.angle ?? 0,
               centerY: y,
-              radius: 20 + Math.random() * 20,
+              radius: bird.radius ?? 30,
               centerX: x, // Orbit center
-              centerZ: z
+              centerZ: z,
+              drift: new THREE.Vector3(), // Blown off the orbit by the wind
+              idle: 0
           });
-      }
+      });
+  }
+
+  // Snapshot of the park as a level file (see Level.js) that can be hand-edited and loaded back.
+  // Procedural scenery is generated for every chunk overlapping the authored terrain area.
+  exportLevel() {
+    let trees, rocks, collectibles;
+
+    if (this.level) {
+        ({ trees, rocks, collectibles } = this.level);
+    } else {
+        trees = [];
+        rocks = [];
+        collectibles = [];
+
+        const half = this.terrainSize / 2;
+        const first = Math.floor(-half / this.chunkSize);
+        const last = Math.floor(half / this.chunkSize);
+        for (let cz = first; cz <= last; cz++) {
+            for (let cx = first; cx <= last; cx++) {
+                const content = this.generateChunkContent(this.getChunkArea(cx, cz));
+                rocks.push(...content.rocks);
+                trees.push(...content.trees);
+                collectibles.push(...content.collectibles);
+            }
+        }
+    }
+
+    return {
+      version: Level.VERSION,
+      seed: this.game.seed,
+      terrain: this.terrainSource.toJSON(),
+      waterLevel: this.waterLevel,
+      water: [...this.water.bodies].filter(body => body.declared).map(body => body.declared),
+      spawn: this.spawn,
+      houses: this.houseManager.houses,
+      trees,
+      rocks,
+      fish: this.fish.map(f => ({
+          position: [f.mesh.position.x, f.baseY, f.mesh.position.z],
+          speed: f.speed,
+          heading: Math.atan2(f.direction.z, f.direction.x)
+      })),
+      birds: this.birds.map(b => ({
+          center: [b.centerX, b.centerY, b.centerZ],
+          radius: b.radius,
+          speed: b.speed,
+          angle: b.angle
+      })),
+      collectibles
+    };
   }
 
   update(deltaTime) {
-    this.houseManager.update(deltaTime);
+    // Stream terrain around the player (or the editor's fly camera)
+    if (this.game.player) {
+        const editing = this.game.editor && this.game.editor.enabled;
+        const position = editing ? this.game.camera.position : this.game.player.body.position;
+        this.updateChunks(position.x, position.z);
+    }
 
-    const time = this.game.clock.getElapsedTime();
+    const time = this.game.time.elapsed;
+    const ahead = {};
+    const weather = this.game.weather;
     
     // Fish AI
     this.fish.forEach(f => {
+        // Far fish think less often, out of sight ones not at all
+        const step = this.detail.throttle(f, deltaTime);
+        if (step === 0) return;
+
         // Move forward
-        f.mesh.position.add(f.direction.clone().multiplyScalar(f.speed * deltaTime));
+        f.mesh.position.add(f.direction.clone().multiplyScalar(f.speed * step));
         f.mesh.rotation.y = Math.atan2(-f.direction.z, f.direction.x);
 
+        // Look a little ahead so fish turn before they beach themselves
+        this.sampleTerrain(
+            f.mesh.position.x + f.direction.x,
+            f.mesh.position.z + f.direction.z,
+            ahead
+        );
+        const shallow = ahead.depth < this.fishMinDepth * 0.5;
+
         // Turn randomly or near bounds
-        f.changeTime -= deltaTime;
+        f.changeTime -= step;
         const dist = Math.sqrt(f.mesh.position.x**2 + f.mesh.position.z**2);
         
-        if (f.changeTime <= 0 || dist > 40 || this.getTerrainHeightAt(f.mesh.position.x, f.mesh.position.z) > -1) {
-            f.changeTime = 2 + Math.random() * 3;
+        if (f.changeTime <= 0 || dist > 40 || shallow) {
+            const random = this.fishRandom;
+            f.changeTime = 2 + random.next() * 3;
             // Pick new random direction
-            f.direction.set(Math.random()-0.5, 0, Math.random()-0.5).normalize();
+            f.direction.set(random.next()-0.5, 0, random.next()-0.5).normalize();
+            // Heading into the shore: the normal's XZ points downhill, i.e. deeper water
+            if (shallow) {
+                f.direction.x += ahead.normal.x * 4;
+                f.direction.z += ahead.normal.z * 4;
+                f.direction.normalize();
+            }
             // If out of bounds, point to center
             if (dist > 40) {
                 f.direction.subVectors(new THREE.Vector3(0,0,0), f.mesh.position).normalize();
             }
         }
+
+        // Up under the surface while it rains, back down after
+        const surface = weather?.isRaining ? this.water.getLevelAt(f.mesh.position.x, f.mesh.position.z) : null;
+        const goal = surface !== null ? surface - 0.3 : f.baseY;
+        f.mesh.position.y += THREE.MathUtils.clamp(goal - f.mesh.position.y, -0.5 * step, 0.5 * step);
+
+        // Stay off the pond floor
+        f.mesh.position.y = Math.max(f.mesh.position.y, this.getTerrainHeightAt(f.mesh.position.x, f.mesh.position.z) + 0.3);
         
         // Wobble tail (visual only, simple rotation of whole fish slightly)
         f.mesh.rotation.y += Math.sin(time * 10) * 0.1;
@@ -367,9 +825,14 @@ export default class World {
 
     // Bird AI
     this.birds.forEach(b => {
-        b.angle += (b.speed / b.radius) * deltaTime;
-        b.mesh.position.x = b.centerX + Math.cos(b.angle) * b.radius;
-        b.mesh.position.z = b.centerZ + Math.sin(b.angle) * b.radius;
+        const step = this.detail.throttle(b, deltaTime);
+        if (step === 0) return;
+
+        b.angle += (b.speed / b.radius) * step;
+        // Pushed downwind, a couple of seconds of the wind's speed, and back when it drops
+        if (weather) b.drift.lerp(weather.wind.clone().multiplyScalar(2), 1 - Math.exp(-step / 5));
+        b.mesh.position.x = b.centerX + b.drift.x + Math.cos(b.angle) * b.radius;
+        b.mesh.position.z = b.centerZ + b.drift.z + Math.sin(b.angle) * b.radius;
         // Bob up and down
         b.mesh.position.y = b.centerY + Math.sin(time + b.angle) * 2;
         // Bank